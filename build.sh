@@ -0,0 +1,35 @@
+# Builds every distribution of src/swipe-events.js:
+#   swipe-events.js        the script-tag build, which creates the global SwipeEvents
+#   dist/swipe-events.mjs  the ES module, exporting createSwipeEvents
+#   dist/swipe-events.cjs  the CommonJS module, exporting createSwipeEvents
+# then minifies the script-tag build and copies it to the demo page.
+set -e
+
+NOTICE="// Built from src/swipe-events.js by build.sh; edit that file instead."
+
+{
+  echo "$NOTICE"
+  echo "var SwipeEvents = SwipeEvents || (() => {"
+  sed -e 's/^\(.\)/    \1/' src/swipe-events.js
+  echo ""
+  echo "    return createSwipeEvents();"
+  printf "})();"
+} > swipe-events.js
+
+{
+  echo "$NOTICE"
+  cat src/swipe-events.js
+  echo ""
+  echo "export {createSwipeEvents};"
+} > dist/swipe-events.mjs
+
+{
+  echo "$NOTICE"
+  cat src/swipe-events.js
+  echo ""
+  echo "module.exports = {createSwipeEvents};"
+} > dist/swipe-events.cjs
+
+sh uglify.sh
+
+cp swipe-events.js swipe-events.min.js swipe-events.min.js.map docs/
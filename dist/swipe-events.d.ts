@@ -0,0 +1,353 @@
+// Type definitions for swipe-events.js 1.2
+// The API and the detail structure are documented in full in src/swipe-events.js and README.md.
+
+export type Cardinal4 = "N" | "S" | "E" | "W";
+export type Cardinal8 = Cardinal4 | "NE" | "NW" | "SE" | "SW";
+export type PointerKind = "touch" | "mouse" | "pen";
+export type Edge = "left" | "right" | "top" | "bottom";
+
+/** A straight stretch of a swipe's path; a new one starts wherever the heading turns more than `segmentAngle`. */
+export interface SwipeSegment {
+    cardinal4: Cardinal4;
+    cardinal8: Cardinal8;
+    /** pixels */
+    length: number;
+    /** milliseconds */
+    duration: number;
+}
+
+/** The detail of a `swipe` event. */
+export interface SwipeDetail {
+    event: TouchEvent | PointerEvent;
+    identifier: number;
+    touchCount: number;
+    pointerType: PointerKind;
+    pressure: number;
+    tiltX: number;
+    tiltY: number;
+    eventTime: number;
+    duration: number;
+    initial: boolean;
+    ongoing: boolean;
+    /** null until the touch moves `minDistance` pixels */
+    cardinal4: Cardinal4 | null;
+    cardinal8: Cardinal8 | null;
+    theta: number | null;
+    /** null on start and move events when `fields` leaves it out */
+    segments: SwipeSegment[] | null;
+    /** input samples since the last `swipe` event; 1 for events that aren't moves */
+    coalescedCount: number;
+    lockedAxis: "x" | "y" | null;
+    /** null unless the touch started within `edgeWidth` of an edge */
+    fromEdge: Edge | null;
+    originX: number;
+    originY: number;
+    currentX: number;
+    currentY: number;
+    elementOriginX: number;
+    elementOriginY: number;
+    elementCurrentX: number;
+    elementCurrentY: number;
+    pageOriginX: number;
+    pageOriginY: number;
+    pageCurrentX: number;
+    pageCurrentY: number;
+    /** null where the browser doesn't predict, and for events that aren't moves */
+    predictedX: number | null;
+    predictedY: number | null;
+    /** null when left out of `fields`, as are the normalized distances */
+    localOriginX: number | null;
+    localOriginY: number | null;
+    localCurrentX: number | null;
+    localCurrentY: number | null;
+    totalDistanceX: number;
+    totalDistanceY: number;
+    totalDistance: number;
+    normalizedDistanceX: number | null;
+    normalizedDistanceY: number | null;
+    latestDistanceX: number;
+    latestDistanceY: number;
+    latestDistance: number;
+    overallSpeedX: number;
+    overallSpeedY: number;
+    overallSpeed: number;
+    latestSpeedX: number;
+    latestSpeedY: number;
+    latestSpeed: number;
+    velocityX: number;
+    velocityY: number;
+    /** null while ongoing */
+    releaseVelocityX: number | null;
+    releaseVelocityY: number | null;
+    releaseVelocity: number | null;
+    /** null with fewer than two touches */
+    centroidX: number | null;
+    centroidY: number | null;
+    scale: number | null;
+    rotation: number | null;
+}
+
+/** The detail of a `gesture` event. */
+export interface GestureDetail {
+    name: string;
+    /** from 0 to 1 */
+    score: number;
+    /** the stroke, as normalized for matching */
+    path: Point[];
+    swipe: SwipeDetail;
+}
+
+/** The detail of the `dragstart`, `dragend`, and `dismiss` events of a draggable element. */
+export interface DragDetail {
+    x: number;
+    y: number;
+    dismissed: boolean;
+    swipe: SwipeDetail;
+}
+
+export interface Point {
+    x: number;
+    y: number;
+}
+
+/** Options for `configure()`; see its documentation for what each one does and its default. */
+export interface SwipeEventsOptions {
+    eventName?: string;
+    target?: EventTarget | null;
+    bubbles?: boolean;
+    passive?: boolean;
+    input?: "touch" | "pointer" | "auto";
+    diagonalWidth?: number;
+    minDistance?: number;
+    directionFrame?: "screen" | "element";
+    speedUnit?: "px/ms" | "px/s" | "mm/s";
+    dpi?: number;
+    delivery?: "event" | "frame";
+    reuseDetail?: boolean;
+    /** the detail fields you read; of those left out, the local and normalized ones, and `segments` while ongoing, are skipped and null */
+    fields?: (keyof SwipeDetail)[] | null;
+    gestureMinScore?: number;
+    segmentAngle?: number;
+    segmentMinDistance?: number;
+    axisLock?: "x" | "y" | "auto" | null;
+    lockSlop?: number;
+    velocityWindow?: number;
+    /** not allowed by `attach()` */
+    banner?: boolean;
+    swipeMinDistance?: number;
+    swipeMinVelocity?: number;
+    swipeMaxDuration?: number;
+    tapSlop?: number;
+    tapMaxDuration?: number;
+    doubleTapInterval?: number;
+    doubleTapSlop?: number;
+    longPressDelay?: number;
+    /** one width for every edge, or widths by edge; edges left out aren't detected */
+    edgeWidth?: number | Partial<Record<Edge, number>>;
+    edgeSafeArea?: boolean;
+    edgeSwipeDistance?: number;
+}
+
+export type SwipeEventsConfig = Required<SwipeEventsOptions>;
+
+export type AttachOptions = Omit<SwipeEventsOptions, "banner">;
+
+export interface Attachment {
+    element: EventTarget;
+    detach(): void;
+}
+
+export interface RecordedSample {
+    identifier: number;
+    clientX: number;
+    clientY: number;
+    pointerType: PointerKind;
+    pressure: number;
+    tiltX: number;
+    tiltY: number;
+    /** the earlier positions the browser coalesced into a pointer move; offset is milliseconds before the frame's time */
+    coalesced?: Array<{clientX: number, clientY: number, offset: number}>;
+    /** the position the browser predicted a pointer move goes to next */
+    predicted?: {clientX: number, clientY: number};
+}
+
+export interface RecordedFrame {
+    /** milliseconds since recording started */
+    time: number;
+    type: string;
+    phase: Phase;
+    samples: RecordedSample[];
+}
+
+export interface Recording {
+    format: "swipe-events-recording";
+    version: 1;
+    recordedAt: string;
+    viewport: {width: number, height: number};
+    frames: RecordedFrame[];
+}
+
+export interface ReplayOptions {
+    speed?: number;
+    target?: EventTarget;
+}
+
+export type Easing = "linear" | "ease-in" | "ease-out" | "ease-in-out" | ((progress: number) => number);
+
+export interface SimulatedGesture {
+    from: Point;
+    to: Point;
+    duration?: number;
+    steps?: number;
+    easing?: Easing;
+    pointerType?: PointerKind;
+    target?: EventTarget;
+    startTime?: number;
+}
+
+export interface DraggableOptions {
+    axis?: "x" | "y" | "both";
+    bounds?: {left?: number, right?: number, top?: number, bottom?: number};
+    dismissThreshold?: number | null;
+    dismissVelocity?: number;
+    snapPoints?: Point[];
+}
+
+export interface Draggable {
+    element: HTMLElement;
+    position(): Point;
+    reset(): void;
+    detach(): void;
+}
+
+export type Phase = "start" | "move" | "end" | "cancel";
+
+/** A `swipe` event's detail as sent to sinks: serializable, without the live `event`. */
+export interface EventRecord extends Omit<SwipeDetail, "event"> {
+    type: "event";
+    phase: Phase;
+    /** the type of the input event, like `touchmove` */
+    eventType: string;
+}
+
+/** A summary of one touch from start to finish, as sent with `swipeend`. */
+export interface GestureSummary {
+    phase: "end" | "cancel";
+    eventType: string;
+    identifier: number;
+    pointerType: PointerKind;
+    startTime: number;
+    endTime: number;
+    duration: number;
+    /** null if the touch never moved */
+    timeToFirstMove: number | null;
+    /** positions recorded, including those the browser coalesced into pen and mouse pointer events */
+    sampleCount: number;
+    originX: number;
+    originY: number;
+    endX: number;
+    endY: number;
+    cardinal4: Cardinal4 | null;
+    cardinal8: Cardinal8 | null;
+    theta: number | null;
+    segments: SwipeSegment[];
+    bounds: {left: number, top: number, right: number, bottom: number, width: number, height: number};
+    totalDistance: number;
+    /** the distance actually travelled, in pixels */
+    pathLength: number;
+    /** `totalDistance` / `pathLength`; null if the touch never moved */
+    straightness: number | null;
+    averageSpeed: number;
+    /** the fastest smoothed speed */
+    maxSpeed: number;
+    releaseVelocity: number | null;
+    maxTouchCount: number;
+}
+
+/** The detail of a `swipeend` event. */
+export interface SwipeEndDetail extends GestureSummary {
+    swipe: SwipeDetail;
+}
+
+export interface GestureRecord extends GestureSummary {
+    type: "gesture";
+}
+
+export type TelemetryRecord = EventRecord | GestureRecord;
+
+export type Sink = (record: TelemetryRecord) => void;
+
+export interface SinkOptions {
+    level?: "event" | "gesture";
+    sampleRate?: number;
+    phases?: Phase[];
+}
+
+export interface MemorySink extends Sink {
+    records(): TelemetryRecord[];
+    query(filter: ((record: TelemetryRecord) => boolean) | Partial<Record<string, unknown>>): TelemetryRecord[];
+    clear(): void;
+}
+
+export interface BatchSink extends Sink {
+    flush(): void;
+}
+
+export interface BatchOptions {
+    size?: number;
+    interval?: number;
+}
+
+/** An instance of the library; the global `SwipeEvents` of the script-tag build is one. */
+export interface SwipeEvents {
+    telemetryLoggingEnabled(): boolean;
+    toggleTelemetryLogging(): boolean;
+    showOverlay(): void;
+    hideOverlay(): void;
+    attach(element: EventTarget, options?: AttachOptions): Attachment;
+    configure(options: SwipeEventsOptions): SwipeEventsConfig;
+    getConfig(): SwipeEventsConfig;
+    startRecording(): void;
+    stopRecording(): Recording | null;
+    replay(recording: Recording, options?: ReplayOptions): Promise<void>;
+    simulate(gesture: SimulatedGesture): void;
+    draggable(element: HTMLElement, options?: DraggableOptions): Draggable;
+    addGestureTemplate(name: string, points: Point[]): void;
+    onPattern(pattern: Cardinal8[], handler: (detail: SwipeDetail) => void): () => void;
+    addSink(sink: Sink, options?: SinkOptions): () => void;
+    consoleSink(): Sink;
+    memorySink(capacity?: number): MemorySink;
+    batchSink(callback: (records: TelemetryRecord[]) => void, options?: BatchOptions): BatchSink;
+    isEnabled(): boolean;
+    enable(): void;
+    disable(): void;
+    destroy(): void;
+    /** Create another, independent instance. */
+    create(options?: SwipeEventsOptions): SwipeEvents;
+}
+
+/** Create an instance, which starts tracking swipes on `document`. */
+export function createSwipeEvents(options?: SwipeEventsOptions): SwipeEvents;
+
+/** The events dispatched with the default `eventName`; listeners for a custom one get a plain `Event`. */
+export interface SwipeEventMap {
+    "swipe": CustomEvent<SwipeDetail>;
+    "swipecancel": CustomEvent<SwipeDetail>;
+    "swipeend": CustomEvent<SwipeEndDetail>;
+    "swipeleft": CustomEvent<SwipeDetail>;
+    "swiperight": CustomEvent<SwipeDetail>;
+    "swipeup": CustomEvent<SwipeDetail>;
+    "swipedown": CustomEvent<SwipeDetail>;
+    "tap": CustomEvent<SwipeDetail>;
+    "doubletap": CustomEvent<SwipeDetail>;
+    "longpress": CustomEvent<SwipeDetail>;
+    "edgeswipe": CustomEvent<SwipeDetail>;
+    "gesture": CustomEvent<GestureDetail>;
+    "dismiss": CustomEvent<DragDetail>;
+}
+
+// dragstart and dragend are left out: the DOM already types them as DragEvent
+declare global {
+    interface DocumentEventMap extends SwipeEventMap {}
+    interface HTMLElementEventMap extends SwipeEventMap {}
+}
@@ -1,34 +1,69 @@
-var SwipeEvents=SwipeEvents||(()=>{let t=false;let f;let I;let P;let j;let C;let k;window.addEventListener("DOMContentLoaded",e=>{console.log(`
-            %cswipe-events.js%c v1.0 loaded
-                toggle logging to debug: %cSwipeEvents.toggleTelemetryLogging()%c
-                more info: https://github.com/eric-eldard/swipe-events.js
-        `.replace(/\n[ ]{12}/g,"\n"),"color: green","color: unset","color: blue","color: unset")});document.addEventListener("touchstart",e=>{f=e.changedTouches[0].clientX;I=e.changedTouches[0].clientY;C=Date.now();P=f;j=I;k=C;o(f,I,C,e)});document.addEventListener("touchmove",e=>{const t=e.changedTouches[0].clientX;const n=e.changedTouches[0].clientY;const a=Date.now();o(t,n,a,e);P=t;j=n;k=a});document.addEventListener("touchend",e=>{o(P,j,Date.now(),e)});document.addEventListener("touchcancel",e=>{o(P,j,Date.now(),e)});function o(e,t,n,a){const o=a.type==="touchstart";const l=o||a.type==="touchmove";const c=e-f;const i=t-I;const s=Math.abs(c);const d=Math.abs(i);const r=Math.hypot(s,d);const g=Math.abs(e-P);const u=Math.abs(t-j);const p=Math.hypot(g,u);const h=n-C;const v=s/h||0;const $=d/h||0;const X=r/h||0;const Y=n-k;const m=g/Y||0;const D=u/Y||0;const w=p/Y||0;let S=null;let E=null;let M=null;if(s>0||d>0){const b=f>e?"W":"E";const y=I>t?"N":"S";const L=Math.atan2(d,s)*(180/Math.PI);S=s>d?b:y;E=L>22.5&&L<67.5?y+b:S;const T=Math.atan2(i,c);M=(T<0?T+2*Math.PI:T)*(180/Math.PI)}document.dispatchEvent(new CustomEvent("swipe",{detail:{event:a,eventTime:n,duration:h,initial:o,ongoing:l,cardinal4:S,cardinal8:E,theta:M,originX:f,originY:I,currentX:e,currentY:t,totalDistanceX:s,totalDistanceY:d,totalDistance:r,latestDistanceX:g,latestDistanceY:u,latestDistance:p,overallSpeedX:v,overallSpeedY:$,overallSpeed:X,latestSpeedX:m,latestSpeedY:D,latestSpeed:w}}))}document.addEventListener("swipe",e=>{if(t){console.debug(`
+var SwipeEvents=SwipeEvents||(()=>{function Yt(e){const P=["touch","pointer","auto"];const A=[null,"x","y","auto"];const C=["screen","element"];const W=["event","frame"];const L=["event","identifier","touchCount","pointerType","pressure","tiltX","tiltY","eventTime","duration","initial","ongoing","cardinal4","cardinal8","theta","segments","lockedAxis","fromEdge","coalescedCount","originX","originY","currentX","currentY","elementOriginX","elementOriginY","elementCurrentX","elementCurrentY","pageOriginX","pageOriginY","pageCurrentX","pageCurrentY","predictedX","predictedY","localOriginX","localOriginY","localCurrentX","localCurrentY","normalizedDistanceX","normalizedDistanceY","totalDistanceX","totalDistanceY","totalDistance","latestDistanceX","latestDistanceY","latestDistance","overallSpeedX","overallSpeedY","overallSpeed","latestSpeedX","latestSpeedY","latestSpeed","velocityX","velocityY","releaseVelocityX","releaseVelocityY","releaseVelocity","centroidX","centroidY","scale","rotation"];const F=["localOriginX","localOriginY","localCurrentX","localCurrentY","normalizedDistanceX","normalizedDistanceY"];const Q={"px/ms":()=>1,"px/s":()=>1e3,"mm/s":e=>1e3*25.4/e.dpi};const N={eventName:"swipe",target:null,bubbles:true,passive:true,input:"auto",diagonalWidth:45,minDistance:0,directionFrame:"screen",speedUnit:"px/ms",dpi:96,delivery:"event",reuseDetail:false,fields:null,gestureMinScore:.8,segmentAngle:45,segmentMinDistance:20,axisLock:null,lockSlop:10,velocityWindow:100,banner:true,swipeMinDistance:30,swipeMinVelocity:.3,swipeMaxDuration:1e3,tapSlop:10,tapMaxDuration:250,doubleTapInterval:300,doubleTapSlop:30,longPressDelay:500,edgeWidth:20,edgeSafeArea:true,edgeSwipeDistance:30};const R={eventName:[e=>typeof e==="string"&&/^\S+$/.test(e),"a non-empty string without whitespace"],target:[e=>e===null||typeof Object(e).dispatchEvent==="function","null or an EventTarget"],bubbles:[e=>typeof e==="boolean","a boolean"],passive:[e=>typeof e==="boolean","a boolean"],input:[e=>P.includes(e),`one of "${P.join('", "')}"`],diagonalWidth:[e=>M(e,0,90),"a number of degrees from 0 to 90"],minDistance:[e=>M(e,0,Infinity),"a non-negative number"],directionFrame:[e=>C.includes(e),`one of "${C.join('", "')}"`],speedUnit:[e=>Object.keys(Q).includes(e),`one of "${Object.keys(Q).join('", "')}"`],dpi:[e=>M(e,1,Infinity),"a number of dots per inch, at least 1"],delivery:[e=>W.includes(e),`one of "${W.join('", "')}"`],reuseDetail:[e=>typeof e==="boolean","a boolean"],fields:[e=>e===null||Array.isArray(e)&&e.every(e=>L.includes(e)),"null or an array of detail field names"],gestureMinScore:[e=>M(e,0,1),"a number from 0 to 1"],segmentAngle:[e=>M(e,0,180),"a number of degrees from 0 to 180"],segmentMinDistance:[e=>M(e,1,Infinity),"a number of pixels, at least 1"],axisLock:[e=>A.includes(e),'null, "x", "y", or "auto"'],lockSlop:[e=>M(e,0,Infinity),"a non-negative number"],velocityWindow:[e=>M(e,1,Infinity),"a number of milliseconds, at least 1"],banner:[e=>typeof e==="boolean","a boolean"],swipeMinDistance:[e=>M(e,0,Infinity),"a non-negative number"],swipeMinVelocity:[e=>M(e,0,Infinity),"a non-negative number"],swipeMaxDuration:[e=>M(e,0,Infinity),"a non-negative number"],tapSlop:[e=>M(e,0,Infinity),"a non-negative number"],tapMaxDuration:[e=>M(e,0,Infinity),"a non-negative number"],doubleTapInterval:[e=>M(e,0,Infinity),"a non-negative number"],doubleTapSlop:[e=>M(e,0,Infinity),"a non-negative number"],longPressDelay:[e=>M(e,0,Infinity),"a non-negative number"],edgeWidth:[e=>M(e,0,Infinity)||Fe(e),"a non-negative number, or an object of them by edge (left, right, top, bottom)"],edgeSafeArea:[e=>typeof e==="boolean","a boolean"],edgeSwipeDistance:[e=>M(e,0,Infinity),"a non-negative number"]};const V=["banner"];const z={N:"swipeup",S:"swipedown",E:"swiperight",W:"swipeleft"};const l={left:[1,0],right:[-1,0],top:[0,1],bottom:[0,-1]};const q=["N","S","E","W","NE","NW","SE","SW"];const t="swipe-events-recording";const H=1;const U={start:["touchstart","pointerdown"],move:["touchmove","pointermove"],end:["touchend","pointerup"],cancel:["touchcancel","pointercancel"]};const B={linear:e=>e,"ease-in":e=>e*e,"ease-out":e=>e*(2-e),"ease-in-out":e=>e<.5?2*e*e:-1+(4-2*e)*e};const G=["x","y","both"];const _={x:"pan-y",y:"pan-x",both:"none"};const J=200;const K=250;const ee=150;const te=64;const u=250;const ne=.5*Math.hypot(u,u);const ie=45*Math.PI/180;const oe=2*Math.PI/180;const re=.3;const c=.5*(Math.sqrt(5)-1);const se=Array.from({length:33},(e,t)=>({x:50+50*Math.cos(-Math.PI/2+t*Math.PI/16),y:50+50*Math.sin(-Math.PI/2+t*Math.PI/16)}));const ae={circle:[se,se.slice().reverse()],check:[[{x:0,y:40},{x:30,y:70},{x:90,y:0}]],"zig-zag":[[{x:0,y:0},{x:25,y:50},{x:50,y:0},{x:75,y:50},{x:100,y:0}]],L:[[{x:0,y:0},{x:0,y:100},{x:60,y:100}]],V:[[{x:0,y:0},{x:40,y:100},{x:80,y:0}]]};const le={E:0,SE:45,S:90,SW:135,W:180,NW:225,N:270,NE:315};const ce=60;const ue=100;const r=1e3;const a=["start","move","end","cancel"];const pe=["event","gesture"];const de={touch:{start:"touchstart",move:"touchmove",end:"touchend"},pointer:{start:"pointerdown",move:"pointermove",end:"pointerup"}};if(typeof document==="undefined"){throw new Error("createSwipeEvents: there is no document to track swipes on; create the instance in the browser")}if(e!==undefined){Le(e,"createSwipeEvents",true)}const o=Object.assign({},N,e);const i=new Set;const s=[];const p=new Set;const d=new Set;let n=null;let f=null;let m=true;let fe=false;let h=null;let g=null;let y=null;const me=new WeakSet;window.addEventListener("DOMContentLoaded",he);Object.entries(ae).forEach(([t,e])=>{e.forEach(e=>s.push({name:t,points:Qe(e)}))});ge(document,{bubbles:false});function he(){if(!o.banner){return}console.log(`
+                %cswipe-events.js%c v1.2.0 loaded
+                    toggle logging to debug: %cSwipeEvents.toggleTelemetryLogging()%c
+                    more info: https://github.com/eric-eldard/swipe-events.js
+            `.replace(/\n[ ]{12}/g,"\n"),"color: green","color: unset","color: blue","color: unset")}function ge(e,t){const n={element:e,overrides:t,options:null,pointers:new Map,pinch:null,lastTap:null,frameRequest:null,observers:[],listeners:{}};i.add(n);ye(n);return n}function ye(n){const e=n.options;const t=Object.keys(n.listeners).length>0;n.options=Object.assign({},o,n.overrides);if(!m){b(n);return}if(t&&e.input===n.options.input&&be(e)===be(n.options)){return}b(n);if(n.options.input!=="pointer"){Object.assign(n.listeners,{touchstart:e=>Xe(n,e,v(e)),touchmove:e=>Ye(n,e,v(e)),touchend:e=>X(n,e,v(e)),touchcancel:e=>X(n,e,v(e))})}if(n.options.input!=="touch"){Object.assign(n.listeners,{pointerdown:e=>Ee(n,e),pointermove:e=>Ye(n,e,[x(e)]),pointerup:e=>X(n,e,[x(e)]),pointercancel:e=>X(n,e,[x(e)])})}const i={passive:be(n.options)};Object.entries(n.listeners).forEach(([e,t])=>n.element.addEventListener(e,t,i))}function be(e){return e.passive&&!e.axisLock}function b(n){Object.entries(n.listeners).forEach(([e,t])=>n.element.removeEventListener(e,t));n.listeners={}}function we(e){i.delete(e);b(e);ve(e)}function ve(e){e.pointers.forEach(e=>clearTimeout(e.longPressTimer));e.pointers.clear();if(e.frameRequest!==null){cancelAnimationFrame(e.frameRequest);e.frameRequest=null}e.pinch=null}function xe(){m=false;i.forEach(e=>{b(e);ve(e)})}function w(e){if(fe){throw new Error(`${e}: this instance has been destroyed; create a new one with SwipeEvents.create()`)}}function Ee(e,t){if(e.options.input==="auto"&&t.pointerType==="touch"){return}if(t.pointerType==="mouse"&&t.button!==0){return}if(e.element!==document){try{e.element.setPointerCapture(t.pointerId)}catch(e){}}Xe(e,t,[x(t)])}function v(e){return Array.from(e.changedTouches).map(e=>({key:"touch:"+e.identifier,identifier:e.identifier,clientX:e.clientX,clientY:e.clientY,pointerType:"touch",pressure:e.force||0,tiltX:0,tiltY:0}))}function x(e){return{key:"pointer:"+e.pointerId,identifier:e.pointerId,clientX:e.clientX,clientY:e.clientY,pointerType:e.pointerType,pressure:e.pressure||0,tiltX:e.tiltX||0,tiltY:e.tiltY||0}}function Xe(n,t,e){if(me.has(t)){return}me.add(t);const i=Y();const o=e.map(e=>{const t={identifier:e.identifier,pointerType:e.pointerType,sample:e,bounds:Ne(n.element),frame:qe(n.options)?He(n.element):null,scrollX:window.scrollX,scrollY:window.scrollY,originX:e.clientX,originY:e.clientY,currentX:e.clientX,currentY:e.clientY,lastX:e.clientX,lastY:e.clientY,firstEvent:i,lastEvent:i,lockedAxis:null,path:[],extent:{left:e.clientX,top:e.clientY,right:e.clientX,bottom:e.clientY},recent:[],segments:[],legStart:null,fromEdge:null,predicted:null,pendingMove:null,samples:0};t.fromEdge=Re(n,t);Ie(n,t,i);n.pointers.set(e.key,t);return t});Me("start",t,e,i);if(n.pointers.size>1){n.pointers.forEach(e=>e.multiTouch=true)}o.forEach(e=>S(n,e,"start",i,t))}function Ye(n,i,e){const o=Y();const t=We(n,e);const r=typeof i.getCoalescedEvents==="function"?i.getCoalescedEvents():[];const s=typeof i.getPredictedEvents==="function"?i.getPredictedEvents():[];const a=s[s.length-1];t.forEach(([t,e])=>{r.slice(0,-1).forEach(e=>{t.currentX=e.clientX;t.currentY=e.clientY;Ie(n,t,o-(i.timeStamp-e.timeStamp))});t.sample=e;t.currentX=e.clientX;t.currentY=e.clientY;t.predicted=a?{x:a.clientX,y:a.clientY}:null;t.samples+=Math.max(r.length,1);Ie(n,t,o)});Me("move",i,t.map(([e,t])=>t),o,r.slice(0,-1),a);t.forEach(([e,t])=>{if(!Ce(n,e)){E(n,e);e.handedOver=true;S(n,e,"cancel",o,i);n.pointers.delete(t.key);return}if(e.lockedAxis&&i.cancelable){i.preventDefault()}e.pendingMove={eventTime:o,event:i};if(n.options.delivery==="event"||typeof requestAnimationFrame!=="function"){E(n,e)}else if(n.frameRequest===null){n.frameRequest=requestAnimationFrame(()=>{n.frameRequest=null;n.pointers.forEach(e=>E(n,e))})}})}function E(e,t){const n=t.pendingMove;if(!n){return}t.pendingMove=null;S(e,t,"move",n.eventTime,n.event);t.lastX=t.currentX;t.lastY=t.currentY;t.lastEvent=n.eventTime}function X(n,t,e){const i=Y();const o=t.type.endsWith("cancel")?"cancel":"end";const r=We(n,e);Me(o,t,r.map(([e,t])=>t),i);r.forEach(([e])=>{E(n,e);S(n,e,o,i,t)});r.forEach(([e,t])=>n.pointers.delete(t.key))}function Y(){return h===null?Date.now():h}function Me(e,n,t,i,o,r){if(!f||t.length===0){return}f.frames.push({time:i-f.startTime,type:n.type,phase:e,samples:t.map(e=>{const t={identifier:e.identifier,clientX:e.clientX,clientY:e.clientY,pointerType:e.pointerType,pressure:e.pressure,tiltX:e.tiltX,tiltY:e.tiltY};if(o&&o.length>0){t.coalesced=o.map(e=>({clientX:e.clientX,clientY:e.clientY,offset:n.timeStamp-e.timeStamp}))}if(r){t.predicted={clientX:r.clientX,clientY:r.clientY}}return t})})}function Te(e){if(!e||e.format!==t||!Array.isArray(e.frames)){throw new TypeError(`SwipeEvents.replay: not a ${t} (use the object returned by SwipeEvents.stopRecording())`)}if(e.version!==H){throw new TypeError(`SwipeEvents.replay: unsupported recording version ${e.version}; this version of swipe-events.js reads version ${H}`)}e.frames.forEach((e,t)=>{const n=Se(e);if(n){throw new TypeError(`SwipeEvents.replay: frames[${t}] ${n}`)}})}function Se(e){if(!e||typeof e!=="object"){return`must be an object, but was ${T(e)}`}if(!M(e.time,0,Infinity)){return`time must be a non-negative number, but was ${T(e.time)}`}if(!a.includes(e.phase)){return`phase must be one of "${a.join('", "')}", but was ${T(e.phase)}`}if(!U[e.phase].includes(e.type)){return`type must be one of "${U[e.phase].join('", "')}" for phase "${e.phase}", but was ${T(e.type)}`}if(!Array.isArray(e.samples)){return`samples must be an array, but was ${T(e.samples)}`}const n=["identifier","clientX","clientY"];const t=e.samples.findIndex(t=>!t||n.some(e=>!Number.isFinite(t[e])));if(t!==-1){return`samples[${t}] must have numeric ${n.join(", ")}`}const i=e=>e&&Number.isFinite(e.clientX)&&Number.isFinite(e.clientY);const o=e=>Array.isArray(e)&&e.every(e=>i(e)&&M(e.offset,0,Infinity));const r=e.samples.findIndex(e=>e.coalesced!==undefined&&!o(e.coalesced));const s=e.samples.findIndex(e=>e.predicted!==undefined&&!i(e.predicted));if(r!==-1){return`samples[${r}].coalesced must be an array of {clientX, clientY, offset}, with a non-negative offset`}return s===-1?null:`samples[${s}].predicted must be a {clientX, clientY} position`}function $e(o,e,r,s){const a=new Map;o.samples.forEach(e=>{const t=`${o.type.startsWith("touch")?"touch":"pointer"}:${e.identifier}`;if(o.phase==="start"||!r.has(t)){const i=document.elementFromPoint?document.elementFromPoint(e.clientX,e.clientY):null;r.set(t,s||i||document)}const n=r.get(t);a.set(n,(a.get(n)||[]).concat(e));if(o.phase==="end"||o.phase==="cancel"){r.delete(t)}});h=e+o.time;try{a.forEach((e,i)=>{if(o.type.startsWith("touch")){i.dispatchEvent(Oe(o.type,{changedTouches:e.map(e=>({identifier:e.identifier,target:i,clientX:e.clientX,clientY:e.clientY,force:e.pressure}))}))}else{e.forEach(e=>{const t=Oe(o.type,{pointerId:e.identifier,pointerType:e.pointerType,isPrimary:true,button:0,clientX:e.clientX,clientY:e.clientY,pressure:e.pressure,tiltX:e.tiltX,tiltY:e.tiltY});if(e.coalesced){const n=e.coalesced.map(e=>({clientX:e.clientX,clientY:e.clientY,timeStamp:t.timeStamp-e.offset}));t.getCoalescedEvents=()=>n.concat(t)}if(e.predicted){t.getPredictedEvents=()=>[e.predicted]}i.dispatchEvent(t)})}})}finally{h=null}}function De(e){const t=e=>e&&Number.isFinite(e.x)&&Number.isFinite(e.y);if(!e||!t(e.from)||!t(e.to)){throw new TypeError("SwipeEvents.simulate: from and to must both be points, like {x: 10, y: 20}")}if(e.duration!==undefined&&!M(e.duration,0,Infinity)){throw new TypeError(`SwipeEvents.simulate: duration must be a non-negative number, but was ${T(e.duration)}`)}if(e.steps!==undefined&&!(Number.isInteger(e.steps)&&e.steps>=1)){throw new TypeError(`SwipeEvents.simulate: steps must be a positive integer, but was ${T(e.steps)}`)}if(e.easing!==undefined&&typeof e.easing!=="function"&&!B[e.easing]){throw new TypeError(`SwipeEvents.simulate: easing must be a function or one of "${Object.keys(B).join('", "')}", but was ${T(e.easing)}`)}if(e.pointerType!==undefined&&!["touch","mouse","pen"].includes(e.pointerType)){throw new TypeError(`SwipeEvents.simulate: pointerType must be one of "touch", "mouse", "pen", but was ${T(e.pointerType)}`)}}function Oe(e,t){return Object.assign(new Event(e,{bubbles:true,cancelable:true,composed:true}),t)}function Ie(e,t,n){const i=n-e.options.velocityWindow;const o={x:t.currentX,y:t.currentY,time:n};t.path.push(o);t.recent.push(o);t.extent.left=Math.min(t.extent.left,o.x);t.extent.top=Math.min(t.extent.top,o.y);t.extent.right=Math.max(t.extent.right,o.x);t.extent.bottom=Math.max(t.extent.bottom,o.y);while(t.recent[0].time<i){t.recent.shift()}ke(e,t,o)}function ke(e,t,n){const i=t.legStart;if(!i){t.legStart=n;return}if(Math.hypot(n.x-i.x,n.y-i.y)<e.options.segmentMinDistance){return}const o=Math.atan2(n.y-i.y,n.x-i.x)*(180/Math.PI);const r=t.segments[t.segments.length-1];if(!r){t.segments.push({start:t.path[0],heading:o})}else if(Math.abs((o-r.heading+540)%360-180)>e.options.segmentAngle){t.segments.push({start:i,heading:o})}else{r.heading=Math.atan2(n.y-r.start.y,n.x-r.start.x)*(180/Math.PI)}t.legStart=n}function je(l,c,u){return c.segments.map((e,t)=>{const n=c.segments[t+1];const i=n?n.start:{x:c.currentX,y:c.currentY,time:u};const o=l.options.directionFrame==="element"?c.frame.toLocal(e.start.x,e.start.y):e.start;const r=l.options.directionFrame==="element"?c.frame.toLocal(i.x,i.y):i;const{cardinal4:s,cardinal8:a}=Pe(r.x-o.x,r.y-o.y,l.options.diagonalWidth);return{cardinal4:s,cardinal8:a,length:Math.hypot(i.x-e.start.x,i.y-e.start.y),duration:i.time-e.start.time}})}function Pe(e,t,n){const i=e<0?"W":"E";const o=t<0?"N":"S";const r=Math.atan2(Math.abs(t),Math.abs(e))*(180/Math.PI);const s=n/2;const a=Math.abs(e)>Math.abs(t)?i:o;const l=r>45-s&&r<45+s?o+i:a;return{cardinal4:a,cardinal8:l}}function Ae(e,t,n){const i=n-e.options.velocityWindow;const o=t.recent.filter(e=>e.time>=i);if(o.length<2){return{velocityX:0,velocityY:0}}const r=o[0].time;const s=o.reduce((e,t)=>e+t.time-r,0)/o.length;const a=o.reduce((e,t)=>e+t.x,0)/o.length;const l=o.reduce((e,t)=>e+t.y,0)/o.length;let c=0;let u=0;let p=0;o.forEach(e=>{const t=e.time-r-s;c+=t*(e.x-a);u+=t*(e.y-l);p+=t*t});return{velocityX:c/p||0,velocityY:u/p||0}}function Ce(e,t){const n=e.options.axisLock;if(!n||t.lockedAxis){return true}const i=Math.abs(t.currentX-t.originX);const o=Math.abs(t.currentY-t.originY);if(Math.hypot(i,o)<e.options.lockSlop){return true}const r=i>=o?"x":"y";if(n!=="auto"&&n!==r){return false}t.lockedAxis=r;return true}function We(t,e){return e.filter(e=>t.pointers.has(e.key)).map(e=>[t.pointers.get(e.key),e])}function Le(e,i,o){if(e===null||typeof e!=="object"){throw new TypeError(`${i}: options must be an object, but was ${T(e)}`)}Object.entries(e).forEach(([e,t])=>{const n=R[e];if(!n){throw new TypeError(`${i}: unknown option "${e}"`)}if(!o&&V.includes(e)){throw new TypeError(`${i}: option "${e}" can only be set with SwipeEvents.configure() or createSwipeEvents()`)}if(!n[0](t)){throw new TypeError(`${i}: option "${e}" must be ${n[1]}, but was ${T(t)}`)}})}function M(e,t,n){return typeof e==="number"&&e>=t&&e<=n}function Fe(t){return t!==null&&typeof t==="object"&&!Array.isArray(t)&&Object.keys(t).every(e=>e in l&&M(t[e],0,Infinity))}function T(e){if(Array.isArray(e)){return`[${e.map(T).join(", ")}]`}return typeof e==="string"?`"${e}"`:String(e)}function Ne(e){return e.getBoundingClientRect?e.getBoundingClientRect():{left:0,top:0}}function Re(e,t){const n=e.options.edgeWidth;const i=typeof n==="number"?{left:n,right:n,top:n,bottom:n}:n;const o=e.element===document;const r=o&&e.options.edgeSafeArea?Ve():{left:0,right:0,top:0,bottom:0};const s=t.bounds;const a={left:t.originX-s.left,right:(o?window.innerWidth:s.right)-t.originX,top:t.originY-s.top,bottom:(o?window.innerHeight:s.bottom)-t.originY};return Object.keys(l).filter(e=>e in i&&a[e]<i[e]+r[e]).reduce((e,t)=>e&&a[e]<=a[t]?e:t,null)}function Ve(){if(!g){g=document.createElement("div");g.setAttribute("aria-hidden","true");g.style.cssText="position: fixed; visibility: hidden; pointer-events: none; padding: "+"env(safe-area-inset-top, 0px) env(safe-area-inset-right, 0px) env(safe-area-inset-bottom, 0px) env(safe-area-inset-left, 0px)";document.documentElement.appendChild(g)}const e=getComputedStyle(g);return{left:parseFloat(e.paddingLeft)||0,right:parseFloat(e.paddingRight)||0,top:parseFloat(e.paddingTop)||0,bottom:parseFloat(e.paddingBottom)||0}}function ze(e,t){return e.options.fields===null||e.options.fields.includes(t)}function qe(t){return t.fields===null||t.directionFrame==="element"||F.some(e=>t.fields.includes(e))}function He(t){if(!(t instanceof HTMLElement)||typeof DOMMatrix!=="function"){const r=Ne(t);return{toLocal:(e,t)=>({x:e-r.left,y:t-r.top}),width:t===document?window.innerWidth:r.width,height:t===document?window.innerHeight:r.height}}let n=new DOMMatrix;let i=false;for(let e=t;e;e=e.offsetParent){const s=getComputedStyle(e);const a=e.offsetParent;const l=s.transformOrigin.split(" ").map(parseFloat);const c=Ue(e,a,s);const u=(new DOMMatrix).translate(e.offsetLeft+(a?a.clientLeft:0)-c.x,e.offsetTop+(a?a.clientTop:0)-c.y).translate(l[0],l[1]).multiply(s.transform==="none"?new DOMMatrix:new DOMMatrix(s.transform)).translate(-l[0],-l[1]);n=u.multiply(n);i=s.position==="fixed"}const o=(i?n:(new DOMMatrix).translate(-window.scrollX,-window.scrollY).multiply(n)).inverse();return{toLocal:(e,t)=>{const n=o.transformPoint({x:e,y:t});return{x:n.x,y:n.y}},width:t.offsetWidth,height:t.offsetHeight}}function Ue(t,n,e){const i={x:0,y:0};if(!n){return i}const o=e.position!=="absolute"&&e.position!=="fixed";for(let e=o?t.parentElement:n;e;e=e===n?null:e.parentElement){if(e!==document.scrollingElement){i.x+=e.scrollLeft;i.y+=e.scrollTop}}return i}function Be(e){const[t,n]=e.pointers.values();if(!n){e.pinch=null;return{centroidX:null,centroidY:null,scale:null,rotation:null}}const i=n.currentX-t.currentX;const o=n.currentY-t.currentY;const r=Math.hypot(i,o);const s=Math.atan2(o,i)*(180/Math.PI);const a=e.pinch;if(!a||a.first!==t||a.second!==n){e.pinch={first:t,second:n,distance:r,angle:s,rotation:0}}else{a.rotation+=(s-a.angle+540)%360-180;a.angle=s}return{centroidX:(t.currentX+n.currentX)/2,centroidY:(t.currentY+n.currentY)/2,scale:r/e.pinch.distance||1,rotation:e.pinch.rotation}}function S(e,t,n,i,C){const o=n==="start";const r=o||n==="move";const{originX:s,originY:a,currentX:l,currentY:c,lastX:W,lastY:L,firstEvent:F,lastEvent:N,bounds:u,frame:p}=t;const d=p&&p.toLocal(s,a);const f=p&&p.toLocal(l,c);const m=l-s;const h=c-a;const g=Math.abs(m);const y=Math.abs(h);const b=Math.hypot(g,y);const w=Math.abs(l-W);const v=Math.abs(c-L);const x=Math.hypot(w,v);const E=i-F;const R=g/E||0;const V=y/E||0;const z=b/E||0;const X=i-N;const q=w/X||0;const H=v/X||0;const U=x/X||0;let Y=null;let M=null;let B=null;if(b>0&&b>=e.options.minDistance){const k=e.options.directionFrame==="element";const j=k?f.x-d.x:m;const P=k?f.y-d.y:h;({cardinal4:Y,cardinal8:M}=Pe(j,P,e.options.diagonalWidth));const A=Math.atan2(P,j);B=(A<0?A+2*Math.PI:A)*(180/Math.PI)}const{velocityX:T,velocityY:S}=Ae(e,t,i);const $=Q[e.options.speedUnit](e.options);const{centroidX:G,centroidY:_,scale:J,rotation:K}=Be(e);const D=rt(e,t);const O=D.detail;O.event=C;O.identifier=t.identifier;O.touchCount=e.pointers.size;O.pointerType=t.pointerType;O.pressure=t.sample.pressure;O.tiltX=t.sample.tiltX;O.tiltY=t.sample.tiltY;O.eventTime=i;O.duration=E;O.initial=o;O.ongoing=r;O.cardinal4=Y;O.cardinal8=M;O.theta=B;O.segments=r&&!ze(e,"segments")?null:je(e,t,i);O.lockedAxis=t.lockedAxis;O.fromEdge=t.fromEdge;O.coalescedCount=Math.max(t.samples,1);O.originX=s;O.originY=a;O.currentX=l;O.currentY=c;O.elementOriginX=s-u.left;O.elementOriginY=a-u.top;O.elementCurrentX=l-u.left;O.elementCurrentY=c-u.top;O.pageOriginX=s+t.scrollX;O.pageOriginY=a+t.scrollY;O.pageCurrentX=l+window.scrollX;O.pageCurrentY=c+window.scrollY;O.predictedX=n==="move"&&t.predicted?t.predicted.x:null;O.predictedY=n==="move"&&t.predicted?t.predicted.y:null;O.localOriginX=p?d.x:null;O.localOriginY=p?d.y:null;O.localCurrentX=p?f.x:null;O.localCurrentY=p?f.y:null;O.normalizedDistanceX=p?Math.abs(f.x-d.x)/p.width||0:null;O.normalizedDistanceY=p?Math.abs(f.y-d.y)/p.height||0:null;O.totalDistanceX=g;O.totalDistanceY=y;O.totalDistance=b;O.latestDistanceX=w;O.latestDistanceY=v;O.latestDistance=x;O.overallSpeedX=R*$;O.overallSpeedY=V*$;O.overallSpeed=z*$;O.latestSpeedX=q*$;O.latestSpeedY=H*$;O.latestSpeed=U*$;O.velocityX=T*$;O.velocityY=S*$;O.releaseVelocityX=r?null:T*$;O.releaseVelocityY=r?null:S*$;O.releaseVelocity=r?null:Math.hypot(T,S)*$;O.centroidX=G;O.centroidY=_;O.scale=J;O.rotation=K;t.samples=0;ot(e).dispatchEvent(D);t.maxSpeed=Math.max(t.maxSpeed||0,Math.hypot(T,S)*$);t.maxTouchCount=Math.max(t.maxTouchCount||0,e.pointers.size);const I=r?null:dt(e,t,n,D.detail);ct(t,n,D.detail,I);e.observers.forEach(e=>e(D.detail,n));bt(e,t,D.detail);Ge(e,t,n,D.detail);if(I){Z(e,"swipeend",D.detail,I)}return D.detail}function Ge(e,t,n,i){const o=e.options;t.latestDetail=i;t.maxDistance=Math.max(t.maxDistance||0,i.totalDistance);if(n==="start"){t.longPressTimer=setTimeout(()=>{t.longPressed=true;Z(e,"longpress",t.latestDetail)},o.longPressDelay)}if(t.maxDistance>o.tapSlop||t.multiTouch||n!=="start"&&n!=="move"){clearTimeout(t.longPressTimer)}if(n==="move"&&t.fromEdge&&!t.edgeSwiped&&!t.multiTouch){const[r,s]=l[t.fromEdge];if((i.currentX-i.originX)*r+(i.currentY-i.originY)*s>=o.edgeSwipeDistance){t.edgeSwiped=true;Z(e,"edgeswipe",i)}}if(n==="cancel"&&t.handedOver){Z(e,"swipecancel",i)}if(n!=="end"||t.multiTouch||t.longPressed){return}Ke(e,t,i);p.forEach(e=>{if(Je(i.segments,e.directions)){e.handler(i)}});if(t.maxDistance<=o.tapSlop){if(i.duration<=o.tapMaxDuration){_e(e,i)}}else if(i.cardinal4!==null&&i.totalDistance>=o.swipeMinDistance&&i.overallSpeed>=o.swipeMinVelocity*Q[o.speedUnit](o)&&i.duration<=o.swipeMaxDuration){Z(e,z[i.cardinal4],i)}}function _e(e,t){const n=e.lastTap;Z(e,"tap",t);if(n&&t.eventTime-n.eventTime<=e.options.doubleTapInterval&&Math.hypot(t.currentX-n.currentX,t.currentY-n.currentY)<=e.options.doubleTapSlop){e.lastTap=null;Z(e,"doubletap",t)}else{e.lastTap=t}}function Je(e,n){return e.length===n.length&&e.every((e,t)=>n[t]===(n[t].length===1?e.cardinal4:e.cardinal8))}function Ke(e,t,n){if(O(t.path)<e.options.swipeMinDistance||s.length===0){return}const i=Qe(t.path);const o=s.reduce((e,t)=>{const n=tt(i,t.points);return n<e.distance?{name:t.name,distance:n}:e},{name:null,distance:Infinity});const r=1-o.distance/ne;if(r>=e.options.gestureMinScore){Z(e,"gesture",n,{name:o.name,score:r,path:i})}}function Qe(e){const t=Ze(e);const n=nt(t);const i=Math.atan2(n.y-t[0].y,n.x-t[0].x);const o=$(t,-i);const r=et(o);const s=nt(r);return r.map(e=>({x:e.x-s.x,y:e.y-s.y}))}function Ze(e){const t=O(e)/(te-1);const n=e.map(e=>({x:e.x,y:e.y}));const i=[n[0]];let o=0;for(let e=1;e<n.length;e++){const r=n[e-1];const s=Math.hypot(n[e].x-r.x,n[e].y-r.y);if(o+s>=t&&s>0){const a=(t-o)/s;const l={x:r.x+a*(n[e].x-r.x),y:r.y+a*(n[e].y-r.y)};i.push(l);n.splice(e,0,l);o=0}else{o+=s}}while(i.length<te){i.push(n[n.length-1])}return i.slice(0,te)}function $(e,t){const n=nt(e);const i=Math.cos(t);const o=Math.sin(t);return e.map(e=>({x:(e.x-n.x)*i-(e.y-n.y)*o+n.x,y:(e.x-n.x)*o+(e.y-n.y)*i+n.y}))}function et(e){const{left:t,top:n,right:i,bottom:o}=it(e);const r=i-t;const s=o-n;const a=Math.min(r,s)/Math.max(r,s)<=re;const l=u/(a?Math.max(r,s):r);const c=u/(a?Math.max(r,s):s);return e.map(e=>({x:e.x*l,y:e.y*c}))}function tt(e,t){let n=-ie;let i=ie;let o=c*n+(1-c)*i;let r=(1-c)*n+c*i;let s=D($(e,o),t);let a=D($(e,r),t);while(Math.abs(i-n)>oe){if(s<a){i=r;r=o;a=s;o=c*n+(1-c)*i;s=D($(e,o),t)}else{n=o;o=r;s=a;r=(1-c)*n+c*i;a=D($(e,r),t)}}return Math.min(s,a)}function D(e,i){return e.reduce((e,t,n)=>e+Math.hypot(t.x-i[n].x,t.y-i[n].y),0)/e.length}function nt(e){return{x:e.reduce((e,t)=>e+t.x,0)/e.length,y:e.reduce((e,t)=>e+t.y,0)/e.length}}function it(e){return e.reduce((e,t)=>({left:Math.min(e.left,t.x),top:Math.min(e.top,t.y),right:Math.max(e.right,t.x),bottom:Math.max(e.bottom,t.y)}),{left:Infinity,top:Infinity,right:-Infinity,bottom:-Infinity})}function O(i){return i.reduce((e,t,n)=>n===0?0:e+Math.hypot(t.x-i[n-1].x,t.y-i[n-1].y),0)}function ot(e){return e.options.target||e.element}function rt(e,t){if(!e.options.reuseDetail){return new CustomEvent(e.options.eventName,{bubbles:e.options.bubbles,detail:{}})}if(!t.reusedEvent||t.reusedEvent.type!==e.options.eventName||t.reusedEvent.bubbles!==e.options.bubbles){t.reusedEvent=new CustomEvent(e.options.eventName,{bubbles:e.options.bubbles,detail:{}})}return t.reusedEvent}function Z(e,t,n,i){wt(t,n,i);ot(e).dispatchEvent(new CustomEvent(t,{bubbles:e.options.bubbles,detail:i?Object.assign({},i,{swipe:n}):n}))}function st(u,p){const d=p.axis||"both";const f=Object.assign({left:-Infinity,right:Infinity,top:-Infinity,bottom:Infinity},p.bounds);const m=p.snapPoints||[{x:0,y:0}];const h=ge(u,{axisLock:d==="both"?null:d});const g={tracker:h,position:{x:0,y:0},start:null,identifier:null,dragging:false};u.style.touchAction=_[d];h.observers.push((e,t)=>{if(e.initial&&g.identifier===null){g.identifier=e.identifier;g.start=Object.assign({},g.position);I(u,g.position,0)}if(e.identifier!==g.identifier){return}const n={x:d==="y"?g.start.x:j(g.start.x+e.currentX-e.originX,f.left,f.right),y:d==="x"?g.start.y:j(g.start.y+e.currentY-e.originY,f.top,f.bottom)};if(!g.dragging&&e.totalDistance>0){g.dragging=true;k(u,"dragstart",g.position,e)}if(e.ongoing){g.position=n;I(u,n,0);return}g.identifier=null;if(!g.dragging){return}g.dragging=false;const i=Q[h.options.speedUnit](h.options);const o=d==="y"?0:e.releaseVelocityX/i;const r=d==="x"?0:e.releaseVelocityY/i;const s=t==="cancel"||p.dismissThreshold===undefined||p.dismissThreshold===null?null:at(n,o,r,p);if(s){g.position={x:n.x+s.x*(window.innerWidth+u.offsetWidth),y:n.y+s.y*(window.innerHeight+u.offsetHeight)};const a=I(u,g.position,K);k(u,"dragend",g.position,e,true);setTimeout(()=>k(u,"dismiss",g.position,e,true),a)}else{const l={x:n.x+o*ee,y:n.y+r*ee};const c=m.reduce((e,t)=>Math.hypot(t.x-l.x,t.y-l.y)<Math.hypot(e.x-l.x,e.y-l.y)?t:e);g.position={x:c.x,y:c.y};I(u,g.position,J);k(u,"dragend",g.position,e,false)}});return g}function at(e,t,n,i){const o=i.dismissVelocity!==undefined?i.dismissVelocity:1;const r=Math.abs(e.x)>=i.dismissThreshold||Math.abs(t)>=o;const s=Math.abs(e.y)>=i.dismissThreshold||Math.abs(n)>=o;if(!r&&!s){return null}const a=Math.sign(Math.abs(t)>=o?t:e.x);const l=Math.sign(Math.abs(n)>=o?n:e.y);return{x:r?a:0,y:s?l:0}}function I(e,t,n){const i=window.matchMedia&&window.matchMedia("(prefers-reduced-motion: reduce)").matches;const o=i?0:n;e.style.transition=o?`transform ${o}ms ease-out`:"";e.style.transform=`translate(${t.x}px, ${t.y}px)`;return o}function k(e,t,n,i,o){e.dispatchEvent(new CustomEvent(t,{bubbles:true,detail:{x:n.x,y:n.y,dismissed:!!o,swipe:i}}))}function lt(t){const n=e=>typeof e==="number"&&!Number.isNaN(e);if(t.axis!==undefined&&!G.includes(t.axis)){throw new TypeError(`SwipeEvents.draggable: axis must be one of "${G.join('", "')}", but was ${T(t.axis)}`)}if(t.bounds!==undefined&&(!t.bounds||!Object.values(t.bounds).every(n))){throw new TypeError("SwipeEvents.draggable: bounds must be an object of numbers, like {left: -100, right: 0}")}if(t.snapPoints!==undefined&&!(Array.isArray(t.snapPoints)&&t.snapPoints.length>0&&t.snapPoints.every(e=>e&&n(e.x)&&n(e.y)))){throw new TypeError("SwipeEvents.draggable: snapPoints must be a non-empty array of points, like [{x: 0, y: 0}]")}["dismissThreshold","dismissVelocity"].filter(e=>t[e]!==undefined&&t[e]!==null&&!M(t[e],0,Infinity)).forEach(e=>{throw new TypeError(`SwipeEvents.draggable: ${e} must be a non-negative number, but was ${T(t[e])}`)})}function j(e,t,n){return Math.min(Math.max(e,t),n)}function ct(e,t,n,i){if(t==="start"){e.sampledBy=new Set(Array.from(d).filter(e=>Math.random()<e.sampleRate))}e.sampledBy.forEach(e=>{if(!d.has(e)||!e.phases.includes(t)||e.level==="gesture"&&!i){return}try{e.fn(e.level==="event"?pt(t,n):Object.assign({type:"gesture"},ft(i)))}catch(e){console.error("swipe-events.js: a telemetry sink threw",e)}})}function ut(e,t){const n=Object.assign({fn:e,level:"gesture",sampleRate:1,phases:a},t);d.add(n);return()=>{d.delete(n)}}function pt(e,t){const n=Object.assign({type:"event",phase:e,eventType:t.event.type},t);delete n.event;n.segments=t.segments&&t.segments.map(e=>Object.assign({},e));return n}function dt(e,t,n,i){const o=Q[e.options.speedUnit](e.options);const r=O(t.path);const s=t.extent;const a=t.path.find(e=>e.x!==i.originX||e.y!==i.originY);return{phase:n,eventType:i.event.type,identifier:i.identifier,pointerType:i.pointerType,startTime:t.firstEvent,endTime:i.eventTime,duration:i.duration,timeToFirstMove:a?a.time-t.firstEvent:null,sampleCount:t.path.length,originX:i.originX,originY:i.originY,endX:i.currentX,endY:i.currentY,cardinal4:i.cardinal4,cardinal8:i.cardinal8,theta:i.theta,segments:i.segments,bounds:{left:s.left,top:s.top,right:s.right,bottom:s.bottom,width:s.right-s.left,height:s.bottom-s.top},totalDistance:i.totalDistance,pathLength:r,straightness:r>0?i.totalDistance/r:null,averageSpeed:(r/i.duration||0)*o,maxSpeed:t.maxSpeed,releaseVelocity:i.releaseVelocity,maxTouchCount:t.maxTouchCount}}function ft(e){return Object.assign({},e,{segments:e.segments.map(e=>Object.assign({},e)),bounds:Object.assign({},e.bounds)})}function mt(e){if(e.level!==undefined&&!pe.includes(e.level)){throw new TypeError(`SwipeEvents.addSink: level must be one of "${pe.join('", "')}", but was ${T(e.level)}`)}if(e.sampleRate!==undefined&&!M(e.sampleRate,0,1)){throw new TypeError(`SwipeEvents.addSink: sampleRate must be a number from 0 to 1, but was ${T(e.sampleRate)}`)}if(e.phases!==undefined&&!(Array.isArray(e.phases)&&e.phases.every(e=>a.includes(e)))){throw new TypeError(`SwipeEvents.addSink: phases must be an array of "${a.join('", "')}", but was ${T(e.phases)}`)}}function ht(e){if(e.type==="gesture"){console.debug("-- swipe gesture --",e);return}const t=e;console.debug(`
                 -- swipe event --
 
-              %cevent:              ${e.detail.event.type}
-                event time:         ${e.detail.eventTime}
-                duration:           ${e.detail.duration}
-                initial:            ${e.detail.initial}
-                ongoing:            ${e.detail.ongoing}
-              %ccardinal 4:         ${e.detail.cardinal4}
-                cardinal 8:         ${e.detail.cardinal8}
-                theta:              ${e.detail.theta}
-              %corigin X:           ${e.detail.originX}
-                origin Y:           ${e.detail.originY}
-              %ccurrent X:          ${e.detail.currentX}
-                current Y:          ${e.detail.currentY}
-              %ctotal distance X:   ${e.detail.totalDistanceX}
-                total distance Y:   ${e.detail.totalDistanceY}
-                total distance:     ${e.detail.totalDistance}
-              %clatest distance X:  ${e.detail.latestDistanceX}
-                latest distance Y:  ${e.detail.latestDistanceY}
-                latest distance:    ${e.detail.latestDistance}
-              %coverall speed X:    ${e.detail.overallSpeedX}
-                overall speed Y:    ${e.detail.overallSpeedY}
-                overall speed:      ${e.detail.overallSpeed}
-              %clatest speed X:     ${e.detail.latestSpeedX}
-                latest speed Y:     ${e.detail.latestSpeedY}
-                latest speed:       ${e.detail.latestSpeed}
+              %cevent:              ${t.eventType}
+                identifier:         ${t.identifier}
+                touch count:        ${t.touchCount}
+                pointer type:       ${t.pointerType}
+                pressure:           ${t.pressure}
+                tilt X:             ${t.tiltX}
+                tilt Y:             ${t.tiltY}
+                event time:         ${t.eventTime}
+                duration:           ${t.duration}
+                initial:            ${t.initial}
+                ongoing:            ${t.ongoing}
+              %ccardinal 4:         ${t.cardinal4}
+                cardinal 8:         ${t.cardinal8}
+                theta:              ${t.theta}
+                segments:           ${t.segments&&t.segments.map(e=>e.cardinal8).join(" ")}
+                coalesced count:    ${t.coalescedCount}
+                locked axis:        ${t.lockedAxis}
+                from edge:          ${t.fromEdge}
+              %corigin X:           ${t.originX}
+                origin Y:           ${t.originY}
+              %ccurrent X:          ${t.currentX}
+                current Y:          ${t.currentY}
+                element origin X:   ${t.elementOriginX}
+                element origin Y:   ${t.elementOriginY}
+                element current X:  ${t.elementCurrentX}
+                element current Y:  ${t.elementCurrentY}
+                page origin X:      ${t.pageOriginX}
+                page origin Y:      ${t.pageOriginY}
+                page current X:     ${t.pageCurrentX}
+                page current Y:     ${t.pageCurrentY}
+                predicted X:        ${t.predictedX}
+                predicted Y:        ${t.predictedY}
+                local origin X:     ${t.localOriginX}
+                local origin Y:     ${t.localOriginY}
+                local current X:    ${t.localCurrentX}
+                local current Y:    ${t.localCurrentY}
+              %ctotal distance X:   ${t.totalDistanceX}
+                total distance Y:   ${t.totalDistanceY}
+                total distance:     ${t.totalDistance}
+                normalized dist X:  ${t.normalizedDistanceX}
+                normalized dist Y:  ${t.normalizedDistanceY}
+              %clatest distance X:  ${t.latestDistanceX}
+                latest distance Y:  ${t.latestDistanceY}
+                latest distance:    ${t.latestDistance}
+              %coverall speed X:    ${t.overallSpeedX}
+                overall speed Y:    ${t.overallSpeedY}
+                overall speed:      ${t.overallSpeed}
+              %clatest speed X:     ${t.latestSpeedX}
+                latest speed Y:     ${t.latestSpeedY}
+                latest speed:       ${t.latestSpeed}
+              %cvelocity X:         ${t.velocityX}
+                velocity Y:         ${t.velocityY}
+                release velocity X: ${t.releaseVelocityX}
+                release velocity Y: ${t.releaseVelocityY}
+                release velocity:   ${t.releaseVelocity}
+              %ccentroid X:         ${t.centroidX}
+                centroid Y:         ${t.centroidY}
+                scale:              ${t.scale}
+                rotation:           ${t.rotation}
 
-            `.replace(/\n[ ]+/g,"\n"),"color: dimgray","color: brown","color: green","color: red","color: blue","color: orange","color: purple","color: darkcyan")}});return{telemetryLoggingEnabled:function(){return t},toggleTelemetryLogging:function(){t=!t;return t}}})();
+            `.replace(/\n[ ]+/g,"\n"),"color: dimgray","color: brown","color: green","color: red","color: blue","color: orange","color: purple","color: darkcyan","color: olive","color: teal")}function gt(){const e=document.createElement("canvas");e.setAttribute("aria-hidden","true");e.style.cssText="position: fixed; left: 0; top: 0; width: 100vw; height: 100vh; pointer-events: none; z-index: 2147483647";document.documentElement.appendChild(e);return{canvas:e,context:e.getContext("2d"),touches:new Map,labels:[],frameRequest:null}}function yt(){if(y){cancelAnimationFrame(y.frameRequest);y.canvas.remove();y=null}}function bt(e,t,n){if(!y){return}y.touches.set(t,{options:e.options,detail:n,endTime:n.ongoing?null:performance.now()});vt()}function wt(e,t,n){if(!y||e==="swipeend"){return}const i=e==="gesture"?`gesture: ${n.name} (${n.score.toFixed(2)})`:e==="edgeswipe"?`edgeswipe from ${t.fromEdge}`:e;const o=y.labels.filter(e=>e.x===t.currentX&&e.y===t.currentY).length;y.labels.push({text:i,x:t.currentX,y:t.currentY,line:o,time:performance.now()});vt()}function vt(){if(y.frameRequest===null){y.frameRequest=requestAnimationFrame(xt)}}function xt(n){const{canvas:e,context:i,touches:o}=y;const t=window.devicePixelRatio||1;y.frameRequest=null;if(e.width!==Math.round(window.innerWidth*t)||e.height!==Math.round(window.innerHeight*t)){e.width=Math.round(window.innerWidth*t);e.height=Math.round(window.innerHeight*t)}i.setTransform(t,0,0,t,0,0);i.clearRect(0,0,window.innerWidth,window.innerHeight);o.forEach((e,t)=>{if(e.endTime!==null&&n-e.endTime>r){o.delete(t);return}i.globalAlpha=e.endTime===null?1:j(1-(n-e.endTime)/r,0,1);Et(i,t,e.detail,e.options)});y.labels=y.labels.filter(e=>n-e.time<=r);y.labels.forEach(e=>{const t=e.y-28-18*e.line;i.globalAlpha=j(1-(n-e.time)/r,0,1);i.font="bold 14px sans-serif";i.lineWidth=3;i.strokeStyle="white";i.fillStyle="#6a1b9a";i.strokeText(e.text,e.x+12,t);i.fillText(e.text,e.x+12,t)});i.globalAlpha=1;if(o.size>0||y.labels.length>0){vt()}}function Et(i,e,o,r){const{originX:s,originY:a,currentX:t,currentY:n}=o;const l=Q[r.speedUnit](r);Object.entries(le).forEach(([e,t])=>{const n=e.length===2?r.diagonalWidth:90-r.diagonalWidth;i.beginPath();i.moveTo(s,a);i.arc(s,a,ce,(t-n/2)*(Math.PI/180),(t+n/2)*(Math.PI/180));i.closePath();i.fillStyle=e===o.cardinal8?"rgba(30, 136, 229, 0.4)":e.length===2?"rgba(0, 0, 0, 0.05)":"rgba(0, 0, 0, 0.1)";i.fill()});i.beginPath();e.path.forEach((e,t)=>t===0?i.moveTo(e.x,e.y):i.lineTo(e.x,e.y));i.lineWidth=2;i.strokeStyle="#1e88e5";i.stroke();i.beginPath();i.arc(s,a,4,0,2*Math.PI);i.fillStyle="#1e88e5";i.fill();Xt(i,s,a,t,n,"#43a047");Xt(i,t,n,t+o.velocityX/l*ue,n+o.velocityY/l*ue,"#e53935");i.font="12px monospace";i.fillStyle="black";i.fillText(`${o.cardinal8||"-"} ${Math.round(o.totalDistance)}px ${Math.hypot(o.velocityX,o.velocityY).toFixed(2)} ${r.speedUnit}`,t+12,n-12)}function Xt(e,t,n,i,o,r){const s=Math.atan2(o-n,i-t);e.beginPath();e.moveTo(t,n);e.lineTo(i,o);if(i!==t||o!==n){e.moveTo(i-8*Math.cos(s-Math.PI/6),o-8*Math.sin(s-Math.PI/6));e.lineTo(i,o);e.lineTo(i-8*Math.cos(s+Math.PI/6),o-8*Math.sin(s+Math.PI/6))}e.lineWidth=2;e.strokeStyle=r;e.stroke()}return{telemetryLoggingEnabled:function(){return n!==null},toggleTelemetryLogging:function(){if(n){n();n=null}else{n=ut(ht,{level:"event"})}return n!==null},showOverlay:function(){w("SwipeEvents.showOverlay");if(!y){y=gt()}},hideOverlay:function(){yt()},attach:function(e,t){if(!e||typeof e.addEventListener!=="function"){throw new TypeError("SwipeEvents.attach: element must be an EventTarget")}Le(t||{},"SwipeEvents.attach",false);w("SwipeEvents.attach");let n=ge(e,Object.assign({},t));return{element:e,detach:()=>{if(n){we(n);n=null}}}},configure:function(e){Le(e,"SwipeEvents.configure",true);Object.assign(o,e);i.forEach(ye);return Object.assign({},o)},getConfig:function(){return Object.assign({},o)},startRecording:function(){f={startTime:Y(),frames:[]}},stopRecording:function(){if(!f){return null}const e={format:t,version:H,recordedAt:new Date(f.startTime).toISOString(),viewport:{width:window.innerWidth,height:window.innerHeight},frames:f.frames};f=null;return e},replay:function(e,t){const i=t&&t.speed!==undefined?t.speed:1;const o=t&&t.target||null;Te(e);if(!M(i,Number.MIN_VALUE,Infinity)){throw new TypeError(`SwipeEvents.replay: speed must be a positive number, but was ${T(i)}`)}const r=Y();const s=new Map;return e.frames.reduce((e,n)=>e.then(()=>new Promise((e,t)=>{setTimeout(()=>{try{$e(n,r,s,o);e()}catch(e){t(e)}},Math.max(0,r+n.time/i-Date.now()))})),Promise.resolve())},simulate:function(i){De(i);const o=i.duration!==undefined?i.duration:300;const t=i.steps||10;const r=typeof i.easing==="function"?i.easing:B[i.easing||"linear"];const s=i.pointerType||"touch";const a=de[s==="touch"?"touch":"pointer"];const n=i.startTime!==undefined?i.startTime:Y();const l=(e,t)=>{const n=r(t);return{time:o*t,type:a[e],phase:e,samples:[{identifier:1,clientX:i.from.x+(i.to.x-i.from.x)*n,clientY:i.from.y+(i.to.y-i.from.y)*n,pointerType:s,pressure:s==="touch"?0:.5,tiltX:0,tiltY:0}]}};const c=[l("start",0)];for(let e=1;e<=t;e++){c.push(l("move",e/t))}c.push(l("end",1));const u=new Map;c.forEach(e=>$e(e,n,u,i.target||null))},draggable:function(e,t){if(!e||!e.style||typeof e.addEventListener!=="function"){throw new TypeError("SwipeEvents.draggable: element must be an Element")}lt(t||{});w("SwipeEvents.draggable");const n=st(e,Object.assign({},t));return{element:e,position:()=>Object.assign({},n.position),reset:()=>{n.position={x:0,y:0};I(e,n.position,J)},detach:()=>we(n.tracker)}},addGestureTemplate:function(e,t){if(typeof e!=="string"||e===""){throw new TypeError(`SwipeEvents.addGestureTemplate: name must be a non-empty string, but was ${T(e)}`)}if(!Array.isArray(t)||t.length<2||!t.every(e=>e&&Number.isFinite(e.x)&&Number.isFinite(e.y))){throw new TypeError("SwipeEvents.addGestureTemplate: points must be an array of at least two points, like {x: 10, y: 20}")}if(O(t)===0){throw new TypeError("SwipeEvents.addGestureTemplate: points must not all be the same point")}s.push({name:e,points:Qe(t)})},onPattern:function(e,t){if(!Array.isArray(e)||e.length===0||!e.every(e=>q.includes(e))){throw new TypeError(`SwipeEvents.onPattern: pattern must be a non-empty array of "${q.join('", "')}", but was ${T(e)}`)}if(typeof t!=="function"){throw new TypeError(`SwipeEvents.onPattern: handler must be a function, but was ${T(t)}`)}const n={directions:e.slice(),handler:t};p.add(n);return()=>{p.delete(n)}},addSink:function(e,t){if(typeof e!=="function"){throw new TypeError(`SwipeEvents.addSink: sink must be a function, but was ${T(e)}`)}mt(t||{});return ut(e,t)},consoleSink:function(){return ht},memorySink:function(e){const t=e!==undefined?e:1e3;if(!(Number.isInteger(t)&&t>0)){throw new TypeError(`SwipeEvents.memorySink: capacity must be a positive integer, but was ${T(e)}`)}let n=[];let i=0;const o=e=>{if(n.length<t){n.push(e)}else{n[i]=e;i=(i+1)%t}};o.records=()=>n.slice(i).concat(n.slice(0,i));o.query=e=>o.records().filter(typeof e==="function"?e:n=>Object.entries(e).every(([e,t])=>n[e]===t));o.clear=()=>{n=[];i=0};return o},batchSink:function(t,e){const n=e&&e.size!==undefined?e.size:50;const i=e&&e.interval!==undefined?e.interval:5e3;if(typeof t!=="function"){throw new TypeError(`SwipeEvents.batchSink: callback must be a function, but was ${T(t)}`)}if(!(Number.isInteger(n)&&n>0)){throw new TypeError(`SwipeEvents.batchSink: size must be a positive integer, but was ${T(n)}`)}if(!M(i,0,Infinity)){throw new TypeError(`SwipeEvents.batchSink: interval must be a non-negative number, but was ${T(i)}`)}let o=[];let r=null;const s=e=>{o.push(e);if(o.length>=n){s.flush()}else if(r===null){r=setTimeout(s.flush,i)}};s.flush=()=>{clearTimeout(r);r=null;if(o.length>0){const e=o;o=[];t(e)}};return s},isEnabled:function(){return m},enable:function(){w("SwipeEvents.enable");m=true;i.forEach(ye)},disable:function(){xe()},destroy:function(){xe();yt();i.forEach(we);window.removeEventListener("DOMContentLoaded",he);p.clear();d.clear();n=null;f=null;fe=true;if(g){g.remove();g=null}},create:function(e){return Yt(e)}}}return Yt()})();
 //# sourceMappingURL=swipe-events.min.js.map
\ No newline at end of file
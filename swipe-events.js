@@ -1,216 +1,1989 @@
-/**
- * <p>A vanilla JavaScript library that publishes custom <code>swipe</code> events with telemetry from screen touch movement.</p>
- * <ul>
- *     <li>Swipe events are fired for every <code>touchstart</code>, <code>touchmove</code>, <code>touchend</code>, and <code>touchcancel</code> event.</li>
- *     <li>A single tap will fire at least two events (for <code>touchstart</code> and <code>touchend</code>).</li>
- *     <li>All distances and speeds report 0 on <code>touchstart</code>.</li>
- *     <li>Latest distances and speeds report 0 on <code>touchend</code> because it has the same coordinates as the prior event.</li>
- *     <li>Cardinal directions and theta report null on <code>touchstart</code>, and also on <code>touchend</code> if there was no <code>touchmove</code> event.</li>
- *     <li>Event publish rate is <code>touchmove</code> publish rate, which is up to as fast as screen refresh rate.</li>
- *     <li>All values are positive; use the cardinal directions to determine direction.</li>
- * </ul>
- * @namespace
- * @type      {!Object}
- * @version   1.1.1
- * @author    Eric Eldard
- * @license   {@link https://github.com/eric-eldard/swipe-events.js/blob/main/LICENSE|MIT}
- * @see       {@link https://github.com/eric-eldard/swipe-events.js|swipe-events.js @ GitHub}
- * @see       {@link https://eric-eldard.github.io/swipe-events.js|Demo}
- * @example
- * document.addEventListener("swipe", e => {
- *     console.debug(`
- *         event time: ${e.detail.eventTime}
- *         ongoing:    ${e.detail.ongoing}
- *         direction:  ${e.detail.cardinal4}
- *     `)
- * })
- */
+// Built from src/swipe-events.js by build.sh; edit that file instead.
 var SwipeEvents = SwipeEvents || (() => {
+    /**
+     * <p>A vanilla JavaScript library that publishes custom <code>swipe</code> events with telemetry from screen touch movement.</p>
+     * <ul>
+     *     <li>Swipe events are fired for every <code>touchstart</code>, <code>touchmove</code>, <code>touchend</code>, and <code>touchcancel</code> event.</li>
+     *     <li>Mouse and pen drags are reported through Pointer Events, which stand in for the touch events above (<code>pointerdown</code> for <code>touchstart</code>, and so on).</li>
+     *     <li>With <code>axisLock</code> configured, a swipe along the natively scrolling axis ends with a terminal <code>swipe</code> event (like <code>touchcancel</code>) and a <code>swipecancel</code> event, and the page scrolls.</li>
+     *     <li>Completed gestures also fire discrete <code>swipeleft</code>, <code>swiperight</code>, <code>swipeup</code>, <code>swipedown</code>, <code>tap</code>, <code>doubletap</code>, and <code>longpress</code> events, each carrying the <code>swipe</code> detail it was recognized from.</li>
+     *     <li>Touches that start within <code>edgeWidth</code> pixels of an edge report it as <code>fromEdge</code>, and fire an <code>edgeswipe</code> event, once, when they have travelled <code>edgeSwipeDistance</code> pixels inward: for drawers, sheets, and back gestures.</li>
+     *     <li>When a touch ends, after any of those, a <code>swipeend</code> event carries a summary of the whole gesture (see the gesture summary structure below) and the final <code>swipe</code> detail as <code>swipe</code>.</li>
+     *     <li>Strokes that match a gesture template (built in: circle, check, zig-zag, L, and V) fire a <code>gesture</code> event whose detail is <code>{name, score, path, swipe}</code>: the template's name, how closely it matched (0 to 1), the stroke as normalized for matching, and the final <code>swipe</code> detail. Strokes shorter than <code>swipeMinDistance</code> aren't matched.</li>
+     *     <li>The <code>segments</code> of a swipe split its path wherever it turns, so a swipe right then down reports <code>E</code> then <code>S</code> rather than just <code>SE</code>; register handlers for sequences like these with <code>SwipeEvents.onPattern()</code>.</li>
+     *     <li>Each touch is tracked separately by its identifier; a touch event that changes several touches fires one swipe event per touch.</li>
+     *     <li>While two or more touches are down, centroid, scale, and rotation report on the first two.</li>
+     *     <li>A single tap will fire at least two events (for <code>touchstart</code> and <code>touchend</code>).</li>
+     *     <li>All distances and speeds report 0 on <code>touchstart</code>.</li>
+     *     <li>Latest distances and speeds report 0 on <code>touchend</code> because it has the same coordinates as the prior event.</li>
+     *     <li>Cardinal directions and theta report null on <code>touchstart</code>, and also on <code>touchend</code> if there was no <code>touchmove</code> event.</li>
+     *     <li>Event publish rate is <code>touchmove</code> publish rate, which is up to as fast as screen refresh rate. With <code>delivery: "frame"</code>, move events are dispatched at most once per animation frame instead, each reporting how many input samples it covers; pen and mouse positions the browser coalesced between pointer events are folded into paths and velocities either way.</li>
+     *     <li>All distances and speeds are positive; use the cardinal directions to determine direction. Velocities are signed (positive is right or down).</li>
+     *     <li>Speeds and velocities are in pixels per millisecond, unless <code>speedUnit</code> is set to <code>"px/s"</code> or <code>"mm/s"</code>; thresholds like <code>swipeMinVelocity</code> stay in pixels per millisecond.</li>
+     *     <li>Positions are reported in viewport (<code>originX</code>), element (<code>elementOriginX</code>), page (<code>pageOriginX</code>), and local (<code>localOriginX</code>) coordinates; local coordinates undo CSS transforms, so they follow a scaled or rotated element's own axes.</li>
+     *     <li>By default, events are dispatched on <code>document</code>; use <code>SwipeEvents.attach()</code> to track swipes that start inside a specific element.</li>
+     *     <li>For diagnosing gestures on a device, <code>SwipeEvents.showOverlay()</code> draws each touch's path, direction, and velocity, and the gestures recognized from it, over the page.</li>
+     *     <li>Telemetry can be sent to your own analytics, a record per event or a summary per gesture, with <code>SwipeEvents.addSink()</code>.</li>
+     *     <li>Tracking can be paused with <code>SwipeEvents.disable()</code> and torn down with <code>SwipeEvents.destroy()</code>; <code>SwipeEvents.create()</code> makes separately configured instances that share no state.</li>
+     * </ul>
+     * @namespace SwipeEvents
+     * @type      {!Object}
+     * @version   1.2.0
+     * @author    Eric Eldard
+     * @license   {@link https://github.com/eric-eldard/swipe-events.js/blob/main/LICENSE|MIT}
+     * @see       {@link https://github.com/eric-eldard/swipe-events.js|swipe-events.js @ GitHub}
+     * @see       {@link https://eric-eldard.github.io/swipe-events.js|Demo}
+     * @example
+     * document.addEventListener("swipe", e => {
+     *     console.debug(`
+     *         event time: ${e.detail.eventTime}
+     *         ongoing:    ${e.detail.ongoing}
+     *         direction:  ${e.detail.cardinal4}
+     *     `)
+     * })
+     * @example
+     * // in a bundled app, import the factory instead; nothing is tracked until it's called
+     * import {createSwipeEvents} from "swipe-events.js";
+     *
+     * const swipeEvents = createSwipeEvents({banner: false});
+     */
 
-    let logEvents = false;
-    let originX;
-    let originY;
-    let lastX;
-    let lastY;
-    let firstEvent;
-    let lastEvent;
-
-    window.addEventListener("DOMContentLoaded", () => {
-        console.log(`
-            %cswipe-events.js%c v1.0 loaded
-                toggle logging to debug: %cSwipeEvents.toggleTelemetryLogging()%c
-                more info: https://github.com/eric-eldard/swipe-events.js
-        `.replace(/\n[ ]{12}/g, "\n"),
-            "color: green", "color: unset", "color: blue", "color: unset"
-        );
-    });
-
-    document.addEventListener("touchstart", e => {
-        originX    = e.changedTouches[0].clientX;
-        originY    = e.changedTouches[0].clientY;
-        firstEvent = Date.now();
-
-        lastX      = originX;
-        lastY      = originY;
-        lastEvent  = firstEvent;
-
-        fireSwipeEvent(originX, originY, firstEvent, e);
-    });
-
-    document.addEventListener("touchmove", e => {
-        const touchX    = e.changedTouches[0].clientX;
-        const touchY    = e.changedTouches[0].clientY;
-        const eventTime = Date.now();
-
-        fireSwipeEvent(touchX, touchY, eventTime, e);
-
-        lastX     = touchX;
-        lastY     = touchY;
-        lastEvent = eventTime;
-    });
-
-    document.addEventListener("touchend", e => {
-        // Using lastX and lastY instead of changedTouches from this event because these are ALMOST always the same.
-        // However, what might be a browser rounding error sometimes causes an infinitesimally small change in X or Y
-        // on a single tap, resulting in a one-tap swipe event registering a distance and a speed.
-        fireSwipeEvent(lastX, lastY, Date.now(), e);
-    });
-
-    document.addEventListener("touchcancel", e => {
-        fireSwipeEvent(lastX, lastY, Date.now(), e);
-    });
-
-    function fireSwipeEvent(currentX, currentY, eventTime, e) {
-        const initial = e.type === "touchstart";
-        const ongoing = initial || e.type === "touchmove";
-
-        const totalChangeInX = currentX - originX;
-        const totalChangeInY = currentY - originY;
-
-        const totalDistanceX = Math.abs(totalChangeInX);
-        const totalDistanceY = Math.abs(totalChangeInY);
-        const totalDistance  = Math.hypot(totalDistanceX, totalDistanceY);
-
-        const latestDistanceX = Math.abs(currentX - lastX);
-        const latestDistanceY = Math.abs(currentY - lastY);
-        const latestDistance  = Math.hypot(latestDistanceX, latestDistanceY);
-
-        const duration = eventTime - firstEvent;
-
-        const overallSpeedX = (totalDistanceX / duration) || 0;
-        const overallSpeedY = (totalDistanceY / duration) || 0;
-        const overallSpeed  = (totalDistance  / duration) || 0;
-
-        const millisSinceLastEvent = eventTime - lastEvent;
-
-        const latestSpeedX = (latestDistanceX / millisSinceLastEvent) || 0;
-        const latestSpeedY = (latestDistanceY / millisSinceLastEvent) || 0;
-        const latestSpeed  = (latestDistance  / millisSinceLastEvent) || 0;
-
-        let cardinal4 = null;
-        let cardinal8 = null;
-        let theta     = null;
-
-        if (totalDistanceX > 0 || totalDistanceY > 0) {
-            const horizontalDir = originX > currentX ? "W" : "E";
-            const verticalDir   = originY > currentY ? "N" : "S";
-            const tangent       = Math.atan2(totalDistanceY, totalDistanceX) * (180 / Math.PI);
-
-            cardinal4 = (totalDistanceX > totalDistanceY) ? horizontalDir : verticalDir;
-            cardinal8 = (tangent > 22.5 && tangent < 67.5) ? verticalDir + horizontalDir : cardinal4;
-
-            const radians = Math.atan2(totalChangeInY, totalChangeInX);
-            theta         = (radians < 0 ? (radians + 2 * Math.PI) : radians) * (180 / Math.PI);
-        }
-
-        document.dispatchEvent(
-            new CustomEvent("swipe", {
-                    /**
-                     * @name Event detail structure
-                     * @property {TouchEvent}  event           the <code>TouchEvent</code> that triggered this <code>swipe</code> event (only its type is logged to console)
-                     * @property {number}      eventTime       timestamp for the creation of this event, as milliseconds since Unix epoch
-                     * @property {number}      duration        total time since <code>touchstart</code> event in milliseconds
-                     * @property {boolean}     initial         true if the triggering touch event is <code>touchstart</code>
-                     * @property {boolean}     ongoing         false if the triggering touch event is terminal (<code>touchend</code>, <code>touchcancel</code>)
-                     * @property {string}      cardinal4       current direction from the origin: N &vert; S &vert; E &vert; W
-                     * @property {string}      cardinal8       current direction from the origin: N &vert; S &vert; E &vert; W &vert; NE &vert; NW &vert; SE &vert; SW
-                     * @property {number}      theta           the number of degrees from East, going clockwise (0=E, 90=S, 180=W, 270=N)
-                     * @property {number}      originX         X coordinate of the initial touch (from <code>touchstart</code>)
-                     * @property {number}      originY         Y coordinate of the initial touch (from <code>touchstart</code>)
-                     * @property {number}      currentX        X coordinate of the latest touch event
-                     * @property {number}      currentY        Y coordinate of the latest touch event
-                     * @property {number}      totalDistanceX  total horizontal distance travelled in pixels from <code>originX</code>
-                     * @property {number}      totalDistanceY  total vertical distance travelled in pixels from <code>originY</code>
-                     * @property {number}      totalDistance   total real distance travelled in pixels from <code>touchstart</code> origin
-                     * @property {number}      latestDistanceX total horizontal linear distance travelled in pixels since last <code>swipe</code> event
-                     * @property {number}      latestDistanceY total vertical linear distance travelled in pixels since last <code>swipe</code> event
-                     * @property {number}      latestDistance  total linear distance travelled in pixels since last <code>swipe</code> event
-                     * @property {number}      overallSpeedX   <code>totalDistanceX</code> / <code>duration</code>
-                     * @property {number}      overallSpeedY   <code>totalDistanceY</code> / <code>duration</code>
-                     * @property {number}      overallSpeed    <code>totalDistance</code> / <code>duration</code>
-                     * @property {number}      latestSpeedX    <code>latestDistanceX</code> / milliseconds since last <code>swipe</code> event
-                     * @property {number}      latestSpeedY    <code>latestDistanceY</code> / milliseconds since last <code>swipe</code> event
-                     * @property {number}      latestSpeed     <code>latestDistance</code> / milliseconds since last <code>swipe</code> event
-                     */
-                detail: {
-                    "event":           e,
-                    "eventTime":       eventTime,
-                    "duration":        duration,
-                    "initial":         initial,
-                    "ongoing":         ongoing,
-                    "cardinal4":       cardinal4,
-                    "cardinal8":       cardinal8,
-                    "theta":           theta,
-                    "originX":         originX,
-                    "originY":         originY,
-                    "currentX":        currentX,
-                    "currentY":        currentY,
-                    "totalDistanceX":  totalDistanceX,
-                    "totalDistanceY":  totalDistanceY,
-                    "totalDistance":   totalDistance,
-                    "latestDistanceX": latestDistanceX,
-                    "latestDistanceY": latestDistanceY,
-                    "latestDistance":  latestDistance,
-                    "overallSpeedX":   overallSpeedX,
-                    "overallSpeedY":   overallSpeedY,
-                    "overallSpeed":    overallSpeed,
-                    "latestSpeedX":    latestSpeedX,
-                    "latestSpeedY":    latestSpeedY,
-                    "latestSpeed":     latestSpeed
-                }
-            })
-        );
-    }
+    /**
+     * Create an instance of the library, with the API documented under <code>SwipeEvents</code>. It starts tracking
+     * swipes on <code>document</code> as soon as it's created. The ES module and CommonJS builds export only this
+     * factory, so importing them has no side effects and is safe during server-side rendering; the script-tag build
+     * creates the global <code>SwipeEvents</code> with it.
+     * @since 1.2
+     * @param {Object=} options the initial configuration, as for <code>SwipeEvents.configure()</code>
+     * @returns {Object} a new instance
+     * @throws {TypeError} if an option is unknown or its value is invalid
+     * @throws {Error} if there is no <code>document</code> to track, as on a server
+     * @example
+     * import {createSwipeEvents} from "swipe-events.js";
+     *
+     * const swipeEvents = createSwipeEvents({axisLock: "x"});
+     *
+     * document.addEventListener("swiperight", () => history.back());
+     */
+    function createSwipeEvents(options) {
+
+        const INPUT_MODES = ["touch", "pointer", "auto"];
+
+        const AXIS_LOCKS = [null, "x", "y", "auto"];
+
+        const DIRECTION_FRAMES = ["screen", "element"];
+
+        const DELIVERY_MODES = ["event", "frame"];
+
+        // every field of the swipe detail, for checking the names given to the fields option
+        const DETAIL_FIELDS = [
+            "event", "identifier", "touchCount", "pointerType", "pressure", "tiltX", "tiltY", "eventTime", "duration",
+            "initial", "ongoing", "cardinal4", "cardinal8", "theta", "segments", "lockedAxis", "fromEdge", "coalescedCount",
+            "originX", "originY", "currentX", "currentY", "elementOriginX", "elementOriginY", "elementCurrentX", "elementCurrentY",
+            "pageOriginX", "pageOriginY", "pageCurrentX", "pageCurrentY", "predictedX", "predictedY",
+            "localOriginX", "localOriginY", "localCurrentX", "localCurrentY", "normalizedDistanceX", "normalizedDistanceY",
+            "totalDistanceX", "totalDistanceY", "totalDistance", "latestDistanceX", "latestDistanceY", "latestDistance",
+            "overallSpeedX", "overallSpeedY", "overallSpeed", "latestSpeedX", "latestSpeedY", "latestSpeed",
+            "velocityX", "velocityY", "releaseVelocityX", "releaseVelocityY", "releaseVelocity",
+            "centroidX", "centroidY", "scale", "rotation"
+        ];
+
+        // the detail fields that need the tracked element's transforms, which are only read when one of them is wanted
+        const LOCAL_FIELDS = ["localOriginX", "localOriginY", "localCurrentX", "localCurrentY", "normalizedDistanceX", "normalizedDistanceY"];
+
+        // how many of each unit one pixel per millisecond is
+        const SPEED_UNITS = {
+            "px/ms": () => 1,
+            "px/s":  () => 1000,
+            "mm/s":  options => 1000 * 25.4 / options.dpi
+        };
+
+        const DEFAULT_OPTIONS = {
+            eventName:          "swipe",
+            target:             null,
+            bubbles:            true,
+            passive:            true,
+            input:              "auto",
+            diagonalWidth:      45,   // degrees
+            minDistance:        0,    // px
+            directionFrame:     "screen",
+            speedUnit:          "px/ms",
+            dpi:                96,
+            delivery:           "event",
+            reuseDetail:        false,
+            fields:             null,
+            gestureMinScore:    0.8,
+            segmentAngle:       45,   // degrees
+            segmentMinDistance: 20,   // px
+            axisLock:           null,
+            lockSlop:           10,   // px
+            velocityWindow:     100,  // ms
+            banner:             true,
+            swipeMinDistance:   30,   // px
+            swipeMinVelocity:   0.3,  // px/ms
+            swipeMaxDuration:   1000, // ms
+            tapSlop:            10,   // px
+            tapMaxDuration:     250,  // ms
+            doubleTapInterval:  300,  // ms
+            doubleTapSlop:      30,   // px
+            longPressDelay:     500,  // ms
+            edgeWidth:          20,   // px
+            edgeSafeArea:       true,
+            edgeSwipeDistance:  30    // px
+        };
+
+        // [test, description of a valid value] for every option
+        const OPTION_RULES = {
+            eventName:          [value => typeof value === "string" && /^\S+$/.test(value), "a non-empty string without whitespace"],
+            target:             [value => value === null || typeof Object(value).dispatchEvent === "function", "null or an EventTarget"],
+            bubbles:            [value => typeof value === "boolean", "a boolean"],
+            passive:            [value => typeof value === "boolean", "a boolean"],
+            input:              [value => INPUT_MODES.includes(value), `one of "${INPUT_MODES.join("\", \"")}"`],
+            diagonalWidth:      [value => isNumberBetween(value, 0, 90), "a number of degrees from 0 to 90"],
+            minDistance:        [value => isNumberBetween(value, 0, Infinity), "a non-negative number"],
+            directionFrame:     [value => DIRECTION_FRAMES.includes(value), `one of "${DIRECTION_FRAMES.join("\", \"")}"`],
+            speedUnit:          [value => Object.keys(SPEED_UNITS).includes(value), `one of "${Object.keys(SPEED_UNITS).join("\", \"")}"`],
+            dpi:                [value => isNumberBetween(value, 1, Infinity), "a number of dots per inch, at least 1"],
+            delivery:           [value => DELIVERY_MODES.includes(value), `one of "${DELIVERY_MODES.join("\", \"")}"`],
+            reuseDetail:        [value => typeof value === "boolean", "a boolean"],
+            fields:             [value => value === null || (Array.isArray(value) && value.every(name => DETAIL_FIELDS.includes(name))), "null or an array of detail field names"],
+            gestureMinScore:    [value => isNumberBetween(value, 0, 1), "a number from 0 to 1"],
+            segmentAngle:       [value => isNumberBetween(value, 0, 180), "a number of degrees from 0 to 180"],
+            segmentMinDistance: [value => isNumberBetween(value, 1, Infinity), "a number of pixels, at least 1"],
+            axisLock:           [value => AXIS_LOCKS.includes(value), 'null, "x", "y", or "auto"'],
+            lockSlop:           [value => isNumberBetween(value, 0, Infinity), "a non-negative number"],
+            velocityWindow:     [value => isNumberBetween(value, 1, Infinity), "a number of milliseconds, at least 1"],
+            banner:             [value => typeof value === "boolean", "a boolean"],
+            swipeMinDistance:   [value => isNumberBetween(value, 0, Infinity), "a non-negative number"],
+            swipeMinVelocity:   [value => isNumberBetween(value, 0, Infinity), "a non-negative number"],
+            swipeMaxDuration:   [value => isNumberBetween(value, 0, Infinity), "a non-negative number"],
+            tapSlop:            [value => isNumberBetween(value, 0, Infinity), "a non-negative number"],
+            tapMaxDuration:     [value => isNumberBetween(value, 0, Infinity), "a non-negative number"],
+            doubleTapInterval:  [value => isNumberBetween(value, 0, Infinity), "a non-negative number"],
+            doubleTapSlop:      [value => isNumberBetween(value, 0, Infinity), "a non-negative number"],
+            longPressDelay:     [value => isNumberBetween(value, 0, Infinity), "a non-negative number"],
+            edgeWidth:          [value => isNumberBetween(value, 0, Infinity) || isEdgeWidths(value), "a non-negative number, or an object of them by edge (left, right, top, bottom)"],
+            edgeSafeArea:       [value => typeof value === "boolean", "a boolean"],
+            edgeSwipeDistance:  [value => isNumberBetween(value, 0, Infinity), "a non-negative number"]
+        };
+
+        // options that only make sense for the library as a whole, not for a single attached element
+        const GLOBAL_OPTIONS = ["banner"];
+
+        const SWIPE_EVENT_TYPES = {N: "swipeup", S: "swipedown", E: "swiperight", W: "swipeleft"};
+
+        // the way into the element from each of its edges, as [x, y]
+        const EDGE_INWARD = {left: [1, 0], right: [-1, 0], top: [0, 1], bottom: [0, -1]};
+
+        const CARDINAL_DIRECTIONS = ["N", "S", "E", "W", "NE", "NW", "SE", "SW"];
+
+        const RECORDING_FORMAT  = "swipe-events-recording";
+        const RECORDING_VERSION = 1;
+
+        // the input events a recording can hold, by the phase they record
+        const RECORDED_EVENT_TYPES = {
+            start:  ["touchstart", "pointerdown"],
+            move:   ["touchmove", "pointermove"],
+            end:    ["touchend", "pointerup"],
+            cancel: ["touchcancel", "pointercancel"]
+        };
+
+        const EASINGS = {
+            "linear":      t => t,
+            "ease-in":     t => t * t,
+            "ease-out":    t => t * (2 - t),
+            "ease-in-out": t => t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t
+        };
+
+        const DRAG_AXES = ["x", "y", "both"];
+
+        const DRAG_TOUCH_ACTIONS = {x: "pan-y", y: "pan-x", both: "none"};
+
+        const SNAP_DURATION    = 200; // ms
+        const DISMISS_DURATION = 250; // ms
+
+        // how far ahead, in milliseconds of coasting at release velocity, a drag is projected when choosing a snap point
+        const MOMENTUM_PROJECTION = 150;
+
+        // shape recognition follows the $1 Unistroke Recognizer (Wobbrock, Wilson & Li, 2007)
+        const STROKE_POINTS     = 64;
+        const STROKE_SIZE       = 250;
+        const STROKE_MAX_SCORE  = 0.5 * Math.hypot(STROKE_SIZE, STROKE_SIZE);
+        const STROKE_ANGLE      = 45 * Math.PI / 180; // how far either way a stroke is turned to find its best match
+        const STROKE_PRECISION  = 2 * Math.PI / 180;
+        const STROKE_1D_RATIO   = 0.3;                // thinner than this, a stroke is a line and keeps its aspect ratio
+        const GOLDEN_RATIO      = 0.5 * (Math.sqrt(5) - 1);
+
+        const CIRCLE_STROKE = Array.from({length: 33}, (_, i) => ({
+            x: 50 + 50 * Math.cos(-Math.PI / 2 + i * Math.PI / 16),
+            y: 50 + 50 * Math.sin(-Math.PI / 2 + i * Math.PI / 16)
+        }));
+
+        // in screen coordinates (y down); shapes drawn both ways are listed both ways
+        const BUILT_IN_GESTURES = {
+            "circle":   [CIRCLE_STROKE, CIRCLE_STROKE.slice().reverse()],
+            "check":    [[{x: 0, y: 40}, {x: 30, y: 70}, {x: 90, y: 0}]],
+            "zig-zag":  [[{x: 0, y: 0}, {x: 25, y: 50}, {x: 50, y: 0}, {x: 75, y: 50}, {x: 100, y: 0}]],
+            "L":        [[{x: 0, y: 0}, {x: 0, y: 100}, {x: 60, y: 100}]],
+            "V":        [[{x: 0, y: 0}, {x: 40, y: 100}, {x: 80, y: 0}]]
+        };
+
+        // the debug overlay's sector wedges, by the degrees clockwise from East at their middle
+        const OVERLAY_SECTORS   = {E: 0, SE: 45, S: 90, SW: 135, W: 180, NW: 225, N: 270, NE: 315};
+        const OVERLAY_RADIUS    = 60;   // px, of the sector wedges
+        const OVERLAY_LOOKAHEAD = 100;  // ms of travel at the current velocity the velocity arrow spans
+        const OVERLAY_LINGER    = 1000; // ms that ended touches and recognized gestures fade out over
+
+        const PHASES = ["start", "move", "end", "cancel"];
+
+        const SINK_LEVELS = ["event", "gesture"];
+
+        const SIMULATED_EVENT_TYPES = {
+            touch:   {start: "touchstart",  move: "touchmove",   end: "touchend"},
+            pointer: {start: "pointerdown", move: "pointermove", end: "pointerup"}
+        };
+
+        if (typeof document === "undefined") {
+            throw new Error("createSwipeEvents: there is no document to track swipes on; create the instance in the browser");
+        }
+        if (options !== undefined) {
+            validateOptions(options, "createSwipeEvents", true);
+        }
+
+        const config   = Object.assign({}, DEFAULT_OPTIONS, options);
+        const trackers = new Set();
+
+        const gestureTemplates = [];
+        const patterns         = new Set();
+        const sinks            = new Set();
+
+        let loggingSink = null;
+        let recording   = null;
+        let enabled     = true;
+        let destroyed   = false;
+
+        // while replaying, the recorded time of the frame being replayed; otherwise null, for the real time
+        let replayTime = null;
+
+        // a hidden element that resolves the env(safe-area-inset-*) variables, which only CSS can read; created when needed
+        let safeAreaProbe = null;
+
+        // the canvas, touches, and gesture labels of the debug overlay while it's shown; otherwise null
+        let overlay = null;
+
+        // touchstart events that an attached element has already started tracking, so enclosing trackers ignore them
+        const claimedEvents = new WeakSet();
+
+        window.addEventListener("DOMContentLoaded", showBanner);
+
+        Object.entries(BUILT_IN_GESTURES).forEach(([name, strokes]) => {
+            strokes.forEach(stroke => gestureTemplates.push({name: name, points: normalizeStroke(stroke)}));
+        });
+
+        createTracker(document, {bubbles: false});
+
+        function showBanner() {
+            if (!config.banner) {
+                return;
+            }
+            console.log(`
+                %cswipe-events.js%c v1.2.0 loaded
+                    toggle logging to debug: %cSwipeEvents.toggleTelemetryLogging()%c
+                    more info: https://github.com/eric-eldard/swipe-events.js
+            `.replace(/\n[ ]{12}/g, "\n"),
+                "color: green", "color: unset", "color: blue", "color: unset"
+            );
+        }
+
+        function createTracker(element, overrides) {
+            const tracker = {
+                element:      element,
+                overrides:    overrides,
+                options:      null,
+                pointers:     new Map(), // input key -> per-touch state, in the order the touches started
+                pinch:        null,
+                lastTap:      null,
+                frameRequest: null,      // the animation frame pending moves are delivered in, with delivery: "frame"
+                observers:    [],
+                listeners:    {}
+            };
+
+            trackers.add(tracker);
+            refreshTracker(tracker);
+
+            return tracker;
+        }
+
+        /**
+         * Re-resolve a tracker's options against the global config, re-registering its input listeners if the input mode
+         * or passivity changed, or if tracking was just enabled. Gestures in progress keep going. While tracking is
+         * disabled, the tracker has no listeners at all.
+         */
+        function refreshTracker(tracker) {
+            const previous  = tracker.options;
+            const listening = Object.keys(tracker.listeners).length > 0;
+            tracker.options = Object.assign({}, config, tracker.overrides);
+
+            if (!enabled) {
+                removeListeners(tracker);
+                return;
+            }
+            if (listening && previous.input === tracker.options.input && isPassive(previous) === isPassive(tracker.options)) {
+                return;
+            }
+
+            removeListeners(tracker);
+
+            if (tracker.options.input !== "pointer") {
+                Object.assign(tracker.listeners, {
+                    touchstart:  e => startPointers(tracker, e, touchSamples(e)),
+                    touchmove:   e => movePointers(tracker, e, touchSamples(e)),
+                    touchend:    e => endPointers(tracker, e, touchSamples(e)),
+                    touchcancel: e => endPointers(tracker, e, touchSamples(e))
+                });
+            }
+
+            if (tracker.options.input !== "touch") {
+                Object.assign(tracker.listeners, {
+                    pointerdown:   e => onPointerDown(tracker, e),
+                    pointermove:   e => movePointers(tracker, e, [pointerSample(e)]),
+                    pointerup:     e => endPointers(tracker, e, [pointerSample(e)]),
+                    pointercancel: e => endPointers(tracker, e, [pointerSample(e)])
+                });
+            }
+
+            const listenerOptions = {passive: isPassive(tracker.options)};
+            Object.entries(tracker.listeners).forEach(([type, listener]) => tracker.element.addEventListener(type, listener, listenerOptions));
+        }
+
+        // axis locking has to be able to stop the page from scrolling, so it overrides passive listeners
+        function isPassive(options) {
+            return options.passive && !options.axisLock;
+        }
+
+        function removeListeners(tracker) {
+            Object.entries(tracker.listeners).forEach(([type, listener]) => tracker.element.removeEventListener(type, listener));
+            tracker.listeners = {};
+        }
+
+        function removeTracker(tracker) {
+            trackers.delete(tracker);
+            removeListeners(tracker);
+            dropPointers(tracker);
+        }
+
+        // forget touches in progress without reporting how they end
+        function dropPointers(tracker) {
+            tracker.pointers.forEach(pointer => clearTimeout(pointer.longPressTimer));
+            tracker.pointers.clear();
+
+            if (tracker.frameRequest !== null) {
+                cancelAnimationFrame(tracker.frameRequest);
+                tracker.frameRequest = null;
+            }
+            tracker.pinch = null;
+        }
+
+        function disableTracking() {
+            enabled = false;
+            trackers.forEach(tracker => {
+                removeListeners(tracker);
+                dropPointers(tracker);
+            });
+        }
+
+        function assertNotDestroyed(caller) {
+            if (destroyed) {
+                throw new Error(`${caller}: this instance has been destroyed; create a new one with SwipeEvents.create()`);
+            }
+        }
+
+        function onPointerDown(tracker, e) {
+            // in auto mode, touches are left to the Touch Events backend so they aren't reported twice
+            if (tracker.options.input === "auto" && e.pointerType === "touch") {
+                return;
+            }
+            if (e.pointerType === "mouse" && e.button !== 0) {
+                return;
+            }
+
+            // keep receiving this pointer's events after it leaves an attached or draggable element. The document tracker
+            // never captures: it sees every press on the page, and capturing to whatever was pressed would take the
+            // pointer's events (hover, text selection, the page's own drag handling) away from everything else
+            if (tracker.element !== document) {
+                try {
+                    tracker.element.setPointerCapture(e.pointerId);
+                }
+                catch (ignored) {
+                    // the pointer is no longer active (or the event was synthesized), so there's nothing to capture
+                }
+            }
+
+            startPointers(tracker, e, [pointerSample(e)]);
+        }
+
+        function touchSamples(e) {
+            return Array.from(e.changedTouches).map(touch => ({
+                key:         "touch:" + touch.identifier,
+                identifier:  touch.identifier,
+                clientX:     touch.clientX,
+                clientY:     touch.clientY,
+                pointerType: "touch",
+                pressure:    touch.force || 0,
+                tiltX:       0,
+                tiltY:       0
+            }));
+        }
+
+        function pointerSample(e) {
+            return {
+                key:         "pointer:" + e.pointerId,
+                identifier:  e.pointerId,
+                clientX:     e.clientX,
+                clientY:     e.clientY,
+                pointerType: e.pointerType,
+                pressure:    e.pressure || 0,
+                tiltX:       e.tiltX || 0,
+                tiltY:       e.tiltY || 0
+            };
+        }
+
+        function startPointers(tracker, e, samples) {
+            if (claimedEvents.has(e)) {
+                return;
+            }
+            claimedEvents.add(e);
+
+            const eventTime = now();
+            const started   = samples.map(sample => {
+                const pointer = {
+                    identifier:  sample.identifier,
+                    pointerType: sample.pointerType,
+                    sample:      sample,
+                    bounds:      boundsOf(tracker.element),
+                    frame:       needsLocalFrame(tracker.options) ? localFrame(tracker.element) : null,
+                    scrollX:     window.scrollX,
+                    scrollY:     window.scrollY,
+                    originX:     sample.clientX,
+                    originY:     sample.clientY,
+                    currentX:    sample.clientX,
+                    currentY:    sample.clientY,
+                    lastX:       sample.clientX,
+                    lastY:       sample.clientY,
+                    firstEvent:  eventTime,
+                    lastEvent:   eventTime,
+                    lockedAxis:  null,
+                    path:        [],
+                    extent:      {left: sample.clientX, top: sample.clientY, right: sample.clientX, bottom: sample.clientY},
+                    recent:      [],
+                    segments:    [],
+                    legStart:    null,
+                    fromEdge:    null,
+                    predicted:   null,
+                    pendingMove: null,
+                    samples:     0 // input samples since the last swipe event
+                };
+                pointer.fromEdge = edgeOf(tracker, pointer);
+                recordPosition(tracker, pointer, eventTime);
+                tracker.pointers.set(sample.key, pointer);
+                return pointer;
+            });
+
+            recordFrame("start", e, samples, eventTime);
+
+            // gestures made with more than one finger aren't taps or swipes
+            if (tracker.pointers.size > 1) {
+                tracker.pointers.forEach(pointer => pointer.multiTouch = true);
+            }
+
+            started.forEach(pointer => fireSwipeEvent(tracker, pointer, "start", eventTime, e));
+        }
+
+        function movePointers(tracker, e, samples) {
+            const eventTime = now();
+            const moved     = trackedPointers(tracker, samples);
+            const coalesced = typeof e.getCoalescedEvents === "function" ? e.getCoalescedEvents() : [];
+            const predicted = typeof e.getPredictedEvents === "function" ? e.getPredictedEvents() : [];
+            const predicts  = predicted[predicted.length - 1];
+
+            moved.forEach(([pointer, sample]) => {
+                // the positions the browser folded into this pointer event since the last one; the last is its own
+                coalesced.slice(0, -1).forEach(earlier => {
+                    pointer.currentX = earlier.clientX;
+                    pointer.currentY = earlier.clientY;
+                    recordPosition(tracker, pointer, eventTime - (e.timeStamp - earlier.timeStamp));
+                });
+
+                pointer.sample    = sample;
+                pointer.currentX  = sample.clientX;
+                pointer.currentY  = sample.clientY;
+                pointer.predicted = predicts ? {x: predicts.clientX, y: predicts.clientY} : null;
+                pointer.samples  += Math.max(coalesced.length, 1);
+                recordPosition(tracker, pointer, eventTime);
+            });
+
+            recordFrame("move", e, moved.map(([pointer, sample]) => sample), eventTime, coalesced.slice(0, -1), predicts);
+
+            // all positions are updated before any event fires, so every event sees the same pinch and rotation
+            moved.forEach(([pointer, sample]) => {
+                if (!lockAxis(tracker, pointer)) {
+                    // moving along the natively scrolling axis: hand the gesture over to the browser
+                    flushMove(tracker, pointer);
+                    pointer.handedOver = true;
+                    fireSwipeEvent(tracker, pointer, "cancel", eventTime, e);
+                    tracker.pointers.delete(sample.key);
+                    return;
+                }
+
+                if (pointer.lockedAxis && e.cancelable) {
+                    e.preventDefault();
+                }
+
+                pointer.pendingMove = {eventTime: eventTime, event: e};
+
+                // without animation frames (in jsdom, say), there's no frame to wait for
+                if (tracker.options.delivery === "event" || typeof requestAnimationFrame !== "function") {
+                    flushMove(tracker, pointer);
+                }
+                else if (tracker.frameRequest === null) {
+                    tracker.frameRequest = requestAnimationFrame(() => {
+                        tracker.frameRequest = null;
+                        tracker.pointers.forEach(pointer => flushMove(tracker, pointer));
+                    });
+                }
+            });
+        }
+
+        /**
+         * Fire a touch's move event, if it has moved since its last one. With <code>delivery: "frame"</code>, this waits
+         * for the next animation frame, and the event reports every move since the last one; a touch that ends or is
+         * cancelled first gets its move event right before.
+         */
+        function flushMove(tracker, pointer) {
+            const move = pointer.pendingMove;
+
+            if (!move) {
+                return;
+            }
+            pointer.pendingMove = null;
+
+            fireSwipeEvent(tracker, pointer, "move", move.eventTime, move.event);
+
+            pointer.lastX     = pointer.currentX;
+            pointer.lastY     = pointer.currentY;
+            pointer.lastEvent = move.eventTime;
+        }
+
+        function endPointers(tracker, e, samples) {
+            const eventTime = now();
+            const phase     = e.type.endsWith("cancel") ? "cancel" : "end";
+            const ended     = trackedPointers(tracker, samples);
+
+            recordFrame(phase, e, ended.map(([pointer, sample]) => sample), eventTime);
+
+            // Using lastX and lastY instead of changedTouches from this event because these are ALMOST always the same.
+            // However, what might be a browser rounding error sometimes causes an infinitesimally small change in X or Y
+            // on a single tap, resulting in a one-tap swipe event registering a distance and a speed.
+            ended.forEach(([pointer]) => {
+                flushMove(tracker, pointer);
+                fireSwipeEvent(tracker, pointer, phase, eventTime, e);
+            });
+            ended.forEach(([pointer, sample]) => tracker.pointers.delete(sample.key));
+        }
+
+        function now() {
+            return replayTime === null ? Date.now() : replayTime;
+        }
+
+        /**
+         * Add an input event to the recording in progress. A pointer move also keeps the positions the browser coalesced
+         * into it, each with how many milliseconds before the event it was, and the position it predicted, so replaying it
+         * reports the same telemetry.
+         */
+        function recordFrame(phase, e, samples, eventTime, coalesced, predicts) {
+            if (!recording || samples.length === 0) {
+                return;
+            }
+
+            recording.frames.push({
+                time:    eventTime - recording.startTime,
+                type:    e.type,
+                phase:   phase,
+                samples: samples.map(sample => {
+                    const recorded = {
+                        identifier:  sample.identifier,
+                        clientX:     sample.clientX,
+                        clientY:     sample.clientY,
+                        pointerType: sample.pointerType,
+                        pressure:    sample.pressure,
+                        tiltX:       sample.tiltX,
+                        tiltY:       sample.tiltY
+                    };
+
+                    if (coalesced && coalesced.length > 0) {
+                        recorded.coalesced = coalesced.map(earlier => ({
+                            clientX: earlier.clientX,
+                            clientY: earlier.clientY,
+                            offset:  e.timeStamp - earlier.timeStamp
+                        }));
+                    }
+                    if (predicts) {
+                        recorded.predicted = {clientX: predicts.clientX, clientY: predicts.clientY};
+                    }
+
+                    return recorded;
+                })
+            });
+        }
+
+        function validateRecording(recording) {
+            if (!recording || recording.format !== RECORDING_FORMAT || !Array.isArray(recording.frames)) {
+                throw new TypeError(`SwipeEvents.replay: not a ${RECORDING_FORMAT} (use the object returned by SwipeEvents.stopRecording())`);
+            }
+            if (recording.version !== RECORDING_VERSION) {
+                throw new TypeError(`SwipeEvents.replay: unsupported recording version ${recording.version}; this version of swipe-events.js reads version ${RECORDING_VERSION}`);
+            }
+
+            // checked up front, so a bad frame can't fail halfway through playback
+            recording.frames.forEach((frame, i) => {
+                const problem = validateFrame(frame);
+                if (problem) {
+                    throw new TypeError(`SwipeEvents.replay: frames[${i}] ${problem}`);
+                }
+            });
+        }
+
+        function validateFrame(frame) {
+            if (!frame || typeof frame !== "object") {
+                return `must be an object, but was ${describeValue(frame)}`;
+            }
+            if (!isNumberBetween(frame.time, 0, Infinity)) {
+                return `time must be a non-negative number, but was ${describeValue(frame.time)}`;
+            }
+            if (!PHASES.includes(frame.phase)) {
+                return `phase must be one of "${PHASES.join("\", \"")}", but was ${describeValue(frame.phase)}`;
+            }
+            if (!RECORDED_EVENT_TYPES[frame.phase].includes(frame.type)) {
+                return `type must be one of "${RECORDED_EVENT_TYPES[frame.phase].join("\", \"")}" for phase "${frame.phase}", but was ${describeValue(frame.type)}`;
+            }
+            if (!Array.isArray(frame.samples)) {
+                return `samples must be an array, but was ${describeValue(frame.samples)}`;
+            }
+
+            const fields = ["identifier", "clientX", "clientY"];
+            const sample = frame.samples.findIndex(sample => !sample || fields.some(field => !Number.isFinite(sample[field])));
+
+            if (sample !== -1) {
+                return `samples[${sample}] must have numeric ${fields.join(", ")}`;
+            }
+
+            const isPosition  = position => position && Number.isFinite(position.clientX) && Number.isFinite(position.clientY);
+            const isCoalesced = positions => Array.isArray(positions) && positions.every(position => isPosition(position) && isNumberBetween(position.offset, 0, Infinity));
+            const coalesced   = frame.samples.findIndex(sample => sample.coalesced !== undefined && !isCoalesced(sample.coalesced));
+            const predicted   = frame.samples.findIndex(sample => sample.predicted !== undefined && !isPosition(sample.predicted));
+
+            if (coalesced !== -1) {
+                return `samples[${coalesced}].coalesced must be an array of {clientX, clientY, offset}, with a non-negative offset`;
+            }
+            return predicted === -1 ? null : `samples[${predicted}].predicted must be a {clientX, clientY} position`;
+        }
+
+        /**
+         * Dispatch one recorded frame as the input event it came from. Like a real touch, every sample goes to the element
+         * it started on, so the trackers of attached elements handle it as they did when it was recorded.
+         */
+        function replayFrame(frame, startTime, targets, defaultTarget) {
+            const samplesByTarget = new Map();
+
+            frame.samples.forEach(sample => {
+                const key = `${frame.type.startsWith("touch") ? "touch" : "pointer"}:${sample.identifier}`;
+
+                if (frame.phase === "start" || !targets.has(key)) {
+                    const element = document.elementFromPoint ? document.elementFromPoint(sample.clientX, sample.clientY) : null;
+                    targets.set(key, defaultTarget || element || document);
+                }
+
+                const target = targets.get(key);
+                samplesByTarget.set(target, (samplesByTarget.get(target) || []).concat(sample));
+
+                if (frame.phase === "end" || frame.phase === "cancel") {
+                    targets.delete(key);
+                }
+            });
+
+            replayTime = startTime + frame.time;
+            try {
+                samplesByTarget.forEach((samples, target) => {
+                    if (frame.type.startsWith("touch")) {
+                        target.dispatchEvent(syntheticEvent(frame.type, {
+                            changedTouches: samples.map(sample => ({
+                                identifier: sample.identifier,
+                                target:     target,
+                                clientX:    sample.clientX,
+                                clientY:    sample.clientY,
+                                force:      sample.pressure
+                            }))
+                        }));
+                    }
+                    else {
+                        samples.forEach(sample => {
+                            const event = syntheticEvent(frame.type, {
+                                pointerId:   sample.identifier,
+                                pointerType: sample.pointerType,
+                                isPrimary:   true,
+                                button:      0,
+                                clientX:     sample.clientX,
+                                clientY:     sample.clientY,
+                                pressure:    sample.pressure,
+                                tiltX:       sample.tiltX,
+                                tiltY:       sample.tiltY
+                            });
+
+                            // as the browser reports them, the coalesced positions end with the event's own
+                            if (sample.coalesced) {
+                                const earlier = sample.coalesced.map(position => ({
+                                    clientX:   position.clientX,
+                                    clientY:   position.clientY,
+                                    timeStamp: event.timeStamp - position.offset
+                                }));
+                                event.getCoalescedEvents = () => earlier.concat(event);
+                            }
+                            if (sample.predicted) {
+                                event.getPredictedEvents = () => [sample.predicted];
+                            }
+
+                            target.dispatchEvent(event);
+                        });
+                    }
+                });
+            }
+            finally {
+                replayTime = null;
+            }
+        }
+
+        function validateGesture(gesture) {
+            const isPoint = point => point && Number.isFinite(point.x) && Number.isFinite(point.y);
+
+            if (!gesture || !isPoint(gesture.from) || !isPoint(gesture.to)) {
+                throw new TypeError("SwipeEvents.simulate: from and to must both be points, like {x: 10, y: 20}");
+            }
+            if (gesture.duration !== undefined && !isNumberBetween(gesture.duration, 0, Infinity)) {
+                throw new TypeError(`SwipeEvents.simulate: duration must be a non-negative number, but was ${describeValue(gesture.duration)}`);
+            }
+            if (gesture.steps !== undefined && !(Number.isInteger(gesture.steps) && gesture.steps >= 1)) {
+                throw new TypeError(`SwipeEvents.simulate: steps must be a positive integer, but was ${describeValue(gesture.steps)}`);
+            }
+            if (gesture.easing !== undefined && typeof gesture.easing !== "function" && !EASINGS[gesture.easing]) {
+                throw new TypeError(`SwipeEvents.simulate: easing must be a function or one of "${Object.keys(EASINGS).join("\", \"")}", but was ${describeValue(gesture.easing)}`);
+            }
+            if (gesture.pointerType !== undefined && !["touch", "mouse", "pen"].includes(gesture.pointerType)) {
+                throw new TypeError(`SwipeEvents.simulate: pointerType must be one of "touch", "mouse", "pen", but was ${describeValue(gesture.pointerType)}`);
+            }
+        }
+
+        /**
+         * A plain Event carrying the fields this library reads from touch and pointer events. Browsers don't let scripts
+         * build real TouchEvents everywhere, and these are all the listeners here need.
+         */
+        function syntheticEvent(type, fields) {
+            return Object.assign(new Event(type, {bubbles: true, cancelable: true, composed: true}), fields);
+        }
+
+        /**
+         * Keep the whole path of a touch, for shape recognition, and the positions of the last <code>velocityWindow</code>
+         * milliseconds, for estimating velocity. Terminal events add no position, so the velocity they report is the release
+         * velocity of the motion leading up to them.
+         */
+        function recordPosition(tracker, pointer, eventTime) {
+            const cutoff   = eventTime - tracker.options.velocityWindow;
+            const position = {x: pointer.currentX, y: pointer.currentY, time: eventTime};
+
+            pointer.path.push(position);
+            pointer.recent.push(position);
+
+            // the box the path has stayed inside, kept as it grows, since paths can be far too long to spread into Math.min()
+            pointer.extent.left   = Math.min(pointer.extent.left,   position.x);
+            pointer.extent.top    = Math.min(pointer.extent.top,    position.y);
+            pointer.extent.right  = Math.max(pointer.extent.right,  position.x);
+            pointer.extent.bottom = Math.max(pointer.extent.bottom, position.y);
+
+            while (pointer.recent[0].time < cutoff) {
+                pointer.recent.shift();
+            }
+
+            recordSegment(tracker, pointer, position);
+        }
+
+        /**
+         * Split a touch's path into straight segments. The path is measured in legs of <code>segmentMinDistance</code>
+         * pixels, so jitter doesn't count as a turn; a leg heading more than <code>segmentAngle</code> degrees away from the
+         * segment it follows starts a new segment. Each segment runs to the start of the next, or to the touch's position.
+         */
+        function recordSegment(tracker, pointer, position) {
+            const legStart = pointer.legStart;
+
+            if (!legStart) {
+                pointer.legStart = position;
+                return;
+            }
+            if (Math.hypot(position.x - legStart.x, position.y - legStart.y) < tracker.options.segmentMinDistance) {
+                return;
+            }
+
+            const heading = Math.atan2(position.y - legStart.y, position.x - legStart.x) * (180 / Math.PI);
+            const segment = pointer.segments[pointer.segments.length - 1];
+
+            if (!segment) {
+                pointer.segments.push({start: pointer.path[0], heading: heading});
+            }
+            else if (Math.abs(((heading - segment.heading + 540) % 360) - 180) > tracker.options.segmentAngle) {
+                pointer.segments.push({start: legStart, heading: heading});
+            }
+            else {
+                // a segment's heading is where it has gone overall, so a slow curve still turns it eventually
+                segment.heading = Math.atan2(position.y - segment.start.y, position.x - segment.start.x) * (180 / Math.PI);
+            }
+
+            pointer.legStart = position;
+        }
+
+        function describeSegments(tracker, pointer, eventTime) {
+            return pointer.segments.map((segment, i) => {
+                const next = pointer.segments[i + 1];
+                const end  = next ? next.start : {x: pointer.currentX, y: pointer.currentY, time: eventTime};
+                const from = tracker.options.directionFrame === "element" ? pointer.frame.toLocal(segment.start.x, segment.start.y) : segment.start;
+                const to   = tracker.options.directionFrame === "element" ? pointer.frame.toLocal(end.x, end.y) : end;
+                const {cardinal4, cardinal8} = cardinalDirections(to.x - from.x, to.y - from.y, tracker.options.diagonalWidth);
+
+                return {
+                    cardinal4: cardinal4,
+                    cardinal8: cardinal8,
+                    length:    Math.hypot(end.x - segment.start.x, end.y - segment.start.y),
+                    duration:  end.time - segment.start.time
+                };
+            });
+        }
+
+        /**
+         * The 4- and 8-point compass directions of a movement, with diagonals <code>diagonalWidth</code> degrees wide.
+         */
+        function cardinalDirections(changeInX, changeInY, diagonalWidth) {
+            const horizontalDir = changeInX < 0 ? "W" : "E";
+            const verticalDir   = changeInY < 0 ? "N" : "S";
+            const tangent       = Math.atan2(Math.abs(changeInY), Math.abs(changeInX)) * (180 / Math.PI);
+            const halfDiagonal  = diagonalWidth / 2;
+
+            const cardinal4 = (Math.abs(changeInX) > Math.abs(changeInY)) ? horizontalDir : verticalDir;
+            const cardinal8 = (tangent > 45 - halfDiagonal && tangent < 45 + halfDiagonal) ? verticalDir + horizontalDir : cardinal4;
+
+            return {cardinal4: cardinal4, cardinal8: cardinal8};
+        }
+
+        /**
+         * Least-squares velocity, in pixels per millisecond, of the positions recorded within <code>velocityWindow</code>
+         * milliseconds of <code>eventTime</code>. Fitting a line through every recent position, rather than dividing the
+         * last two, smooths out jitter in touch coordinates and timestamps.
+         */
+        function estimateVelocity(tracker, pointer, eventTime) {
+            const cutoff    = eventTime - tracker.options.velocityWindow;
+            const positions = pointer.recent.filter(position => position.time >= cutoff);
+
+            if (positions.length < 2) {
+                return {velocityX: 0, velocityY: 0};
+            }
+
+            // times are taken relative to the first position, so the fit doesn't depend on the epoch they're measured from
+            const firstTime = positions[0].time;
+            const meanTime  = positions.reduce((sum, position) => sum + position.time - firstTime, 0) / positions.length;
+            const meanX     = positions.reduce((sum, position) => sum + position.x, 0) / positions.length;
+            const meanY     = positions.reduce((sum, position) => sum + position.y, 0) / positions.length;
+
+            let covarianceX = 0;
+            let covarianceY = 0;
+            let variance    = 0;
+
+            positions.forEach(position => {
+                const deltaTime = position.time - firstTime - meanTime;
+                covarianceX    += deltaTime * (position.x - meanX);
+                covarianceY    += deltaTime * (position.y - meanY);
+                variance       += deltaTime * deltaTime;
+            });
+
+            return {
+                velocityX: (covarianceX / variance) || 0,
+                velocityY: (covarianceY / variance) || 0
+            };
+        }
+
+        /**
+         * Once a touch has moved <code>lockSlop</code> pixels, lock it to the axis it moved furthest along. Returns false if
+         * that axis is the one <code>axisLock</code> leaves to native scrolling, in which case the touch should be dropped.
+         */
+        function lockAxis(tracker, pointer) {
+            const axisLock = tracker.options.axisLock;
+
+            if (!axisLock || pointer.lockedAxis) {
+                return true;
+            }
+
+            const distanceX = Math.abs(pointer.currentX - pointer.originX);
+            const distanceY = Math.abs(pointer.currentY - pointer.originY);
+
+            if (Math.hypot(distanceX, distanceY) < tracker.options.lockSlop) {
+                return true;
+            }
+
+            const dominantAxis = distanceX >= distanceY ? "x" : "y";
+
+            if (axisLock !== "auto" && axisLock !== dominantAxis) {
+                return false;
+            }
+
+            pointer.lockedAxis = dominantAxis;
+            return true;
+        }
+
+        function trackedPointers(tracker, samples) {
+            return samples
+                .filter(sample => tracker.pointers.has(sample.key))
+                .map(sample => [tracker.pointers.get(sample.key), sample]);
+        }
+
+        function validateOptions(options, caller, allowGlobal) {
+            if (options === null || typeof options !== "object") {
+                throw new TypeError(`${caller}: options must be an object, but was ${describeValue(options)}`);
+            }
+
+            Object.entries(options).forEach(([name, value]) => {
+                const rule = OPTION_RULES[name];
+
+                if (!rule) {
+                    throw new TypeError(`${caller}: unknown option "${name}"`);
+                }
+                if (!allowGlobal && GLOBAL_OPTIONS.includes(name)) {
+                    throw new TypeError(`${caller}: option "${name}" can only be set with SwipeEvents.configure() or createSwipeEvents()`);
+                }
+                if (!rule[0](value)) {
+                    throw new TypeError(`${caller}: option "${name}" must be ${rule[1]}, but was ${describeValue(value)}`);
+                }
+            });
+        }
+
+        function isNumberBetween(value, min, max) {
+            return typeof value === "number" && value >= min && value <= max;
+        }
+
+        function isEdgeWidths(value) {
+            return value !== null && typeof value === "object" && !Array.isArray(value)
+                && Object.keys(value).every(edge => edge in EDGE_INWARD && isNumberBetween(value[edge], 0, Infinity));
+        }
+
+        function describeValue(value) {
+            if (Array.isArray(value)) {
+                return `[${value.map(describeValue).join(", ")}]`;
+            }
+            return typeof value === "string" ? `"${value}"` : String(value);
+        }
+
+        function boundsOf(element) {
+            return element.getBoundingClientRect ? element.getBoundingClientRect() : {left: 0, top: 0};
+        }
+
+        /**
+         * The edge of the tracked element (of the viewport, for the document) a touch started within <code>edgeWidth</code>
+         * of, or null; in a corner, the nearer edge. At the viewport, each width grows by the safe area inset on its side,
+         * so edges stay reachable past a notch or a home indicator; an edge left out of an <code>edgeWidth</code> object
+         * isn't detected, inset or not.
+         */
+        function edgeOf(tracker, pointer) {
+            const edgeWidth = tracker.options.edgeWidth;
+            const widths    = typeof edgeWidth === "number" ? {left: edgeWidth, right: edgeWidth, top: edgeWidth, bottom: edgeWidth} : edgeWidth;
+            const viewport  = tracker.element === document;
+            const insets    = viewport && tracker.options.edgeSafeArea ? safeAreaInsets() : {left: 0, right: 0, top: 0, bottom: 0};
+            const bounds    = pointer.bounds;
+
+            const distances = {
+                left:   pointer.originX - bounds.left,
+                right:  (viewport ? window.innerWidth  : bounds.right)  - pointer.originX,
+                top:    pointer.originY - bounds.top,
+                bottom: (viewport ? window.innerHeight : bounds.bottom) - pointer.originY
+            };
+
+            return Object.keys(EDGE_INWARD)
+                .filter(edge => edge in widths && distances[edge] < widths[edge] + insets[edge])
+                .reduce((nearest, edge) => nearest && distances[nearest] <= distances[edge] ? nearest : edge, null);
+        }
+
+        function safeAreaInsets() {
+            if (!safeAreaProbe) {
+                safeAreaProbe = document.createElement("div");
+                safeAreaProbe.setAttribute("aria-hidden", "true");
+                safeAreaProbe.style.cssText = "position: fixed; visibility: hidden; pointer-events: none; padding: "
+                    + "env(safe-area-inset-top, 0px) env(safe-area-inset-right, 0px) env(safe-area-inset-bottom, 0px) env(safe-area-inset-left, 0px)";
+                document.documentElement.appendChild(safeAreaProbe);
+            }
+
+            const style = getComputedStyle(safeAreaProbe);
+
+            return {
+                left:   parseFloat(style.paddingLeft)   || 0,
+                right:  parseFloat(style.paddingRight)  || 0,
+                top:    parseFloat(style.paddingTop)    || 0,
+                bottom: parseFloat(style.paddingBottom) || 0
+            };
+        }
+
+        function wantsField(tracker, name) {
+            return tracker.options.fields === null || tracker.options.fields.includes(name);
+        }
+
+        // the local frame is read once, at touchstart, if any local field is wanted or directions are measured in it
+        function needsLocalFrame(options) {
+            return options.fields === null || options.directionFrame === "element" || LOCAL_FIELDS.some(name => options.fields.includes(name));
+        }
+
+        /**
+         * How to turn viewport coordinates into an element's own, untransformed coordinates, and the element's size in
+         * them. Undoes the CSS <code>transform</code> of the element and of its offset parents; elsewhere (the document, SVG,
+         * or browsers without <code>DOMMatrix</code>) local coordinates are relative to the element's bounding box.
+         */
+        function localFrame(element) {
+            if (!(element instanceof HTMLElement) || typeof DOMMatrix !== "function") {
+                const bounds = boundsOf(element);
+                return {
+                    toLocal: (x, y) => ({x: x - bounds.left, y: y - bounds.top}),
+                    width:   element === document ? window.innerWidth  : bounds.width,
+                    height:  element === document ? window.innerHeight : bounds.height
+                };
+            }
+
+            let matrix = new DOMMatrix();
+            let fixed  = false;
+
+            for (let node = element; node; node = node.offsetParent) {
+                const style  = getComputedStyle(node);
+                const parent = node.offsetParent;
+                const origin = style.transformOrigin.split(" ").map(parseFloat);
+                const scroll = scrollOffset(node, parent, style);
+
+                // offsets are measured from the offset parent's padding box, as if nothing were scrolled; its transform
+                // applies to its border box
+                const placement = new DOMMatrix()
+                    .translate(node.offsetLeft + (parent ? parent.clientLeft : 0) - scroll.x, node.offsetTop + (parent ? parent.clientTop : 0) - scroll.y)
+                    .translate(origin[0], origin[1])
+                    .multiply(style.transform === "none" ? new DOMMatrix() : new DOMMatrix(style.transform))
+                    .translate(-origin[0], -origin[1]);
+
+                matrix = placement.multiply(matrix);
+                fixed  = style.position === "fixed";
+            }
+
+            // the outermost offsets are from the page, unless the element is fixed to the viewport
+            const inverse = (fixed ? matrix : new DOMMatrix().translate(-window.scrollX, -window.scrollY).multiply(matrix)).inverse();
+
+            return {
+                toLocal: (x, y) => {
+                    const point = inverse.transformPoint({x: x, y: y});
+                    return {x: point.x, y: point.y};
+                },
+                width:   element.offsetWidth,
+                height:  element.offsetHeight
+            };
+        }
+
+        /**
+         * How far the containers between an element and its offset parent, and the offset parent itself, have scrolled it.
+         * An absolutely positioned element only scrolls with its offset parent, and a fixed one with nothing; the page's own
+         * scroll is left to the caller.
+         */
+        function scrollOffset(node, parent, style) {
+            const offset = {x: 0, y: 0};
+
+            if (!parent) {
+                return offset;
+            }
+
+            const inFlow = style.position !== "absolute" && style.position !== "fixed";
+
+            for (let ancestor = inFlow ? node.parentElement : parent; ancestor; ancestor = ancestor === parent ? null : ancestor.parentElement) {
+                if (ancestor !== document.scrollingElement) {
+                    offset.x += ancestor.scrollLeft;
+                    offset.y += ancestor.scrollTop;
+                }
+            }
+
+            return offset;
+        }
+
+        /**
+         * Centroid, scale, and rotation of the first two tracked touches, relative to when both were first down together.
+         * Rotation accumulates across events, so turning past 180° keeps counting rather than wrapping.
+         */
+        function measurePinch(tracker) {
+            const [first, second] = tracker.pointers.values();
+
+            if (!second) {
+                tracker.pinch = null;
+                return {centroidX: null, centroidY: null, scale: null, rotation: null};
+            }
+
+            const changeInX = second.currentX - first.currentX;
+            const changeInY = second.currentY - first.currentY;
+            const distance  = Math.hypot(changeInX, changeInY);
+            const angle     = Math.atan2(changeInY, changeInX) * (180 / Math.PI);
+
+            const pinch = tracker.pinch;
+            if (!pinch || pinch.first !== first || pinch.second !== second) {
+                tracker.pinch = {first: first, second: second, distance: distance, angle: angle, rotation: 0};
+            }
+            else {
+                pinch.rotation += ((angle - pinch.angle + 540) % 360) - 180;
+                pinch.angle     = angle;
+            }
+
+            return {
+                centroidX: (first.currentX + second.currentX) / 2,
+                centroidY: (first.currentY + second.currentY) / 2,
+                scale:     (distance / tracker.pinch.distance) || 1,
+                rotation:  tracker.pinch.rotation
+            };
+        }
+
+        function fireSwipeEvent(tracker, pointer, phase, eventTime, e) {
+            const initial = phase === "start";
+            const ongoing = initial || phase === "move";
+
+            const {originX, originY, currentX, currentY, lastX, lastY, firstEvent, lastEvent, bounds, frame} = pointer;
+
+            const localOrigin  = frame && frame.toLocal(originX, originY);
+            const localCurrent = frame && frame.toLocal(currentX, currentY);
+
+            const totalChangeInX = currentX - originX;
+            const totalChangeInY = currentY - originY;
+
+            const totalDistanceX = Math.abs(totalChangeInX);
+            const totalDistanceY = Math.abs(totalChangeInY);
+            const totalDistance  = Math.hypot(totalDistanceX, totalDistanceY);
+
+            const latestDistanceX = Math.abs(currentX - lastX);
+            const latestDistanceY = Math.abs(currentY - lastY);
+            const latestDistance  = Math.hypot(latestDistanceX, latestDistanceY);
+
+            const duration = eventTime - firstEvent;
+
+            const overallSpeedX = (totalDistanceX / duration) || 0;
+            const overallSpeedY = (totalDistanceY / duration) || 0;
+            const overallSpeed  = (totalDistance  / duration) || 0;
+
+            const millisSinceLastEvent = eventTime - lastEvent;
+
+            const latestSpeedX = (latestDistanceX / millisSinceLastEvent) || 0;
+            const latestSpeedY = (latestDistanceY / millisSinceLastEvent) || 0;
+            const latestSpeed  = (latestDistance  / millisSinceLastEvent) || 0;
+
+            let cardinal4 = null;
+            let cardinal8 = null;
+            let theta     = null;
+
+            if (totalDistance > 0 && totalDistance >= tracker.options.minDistance) {
+                const inElementFrame = tracker.options.directionFrame === "element";
+                const changeInX      = inElementFrame ? localCurrent.x - localOrigin.x : totalChangeInX;
+                const changeInY      = inElementFrame ? localCurrent.y - localOrigin.y : totalChangeInY;
+
+                ({cardinal4, cardinal8} = cardinalDirections(changeInX, changeInY, tracker.options.diagonalWidth));
+
+                const radians = Math.atan2(changeInY, changeInX);
+                theta         = (radians < 0 ? (radians + 2 * Math.PI) : radians) * (180 / Math.PI);
+            }
+
+            const {velocityX, velocityY} = estimateVelocity(tracker, pointer, eventTime);
+
+            const speedScale = SPEED_UNITS[tracker.options.speedUnit](tracker.options);
+
+            const {centroidX, centroidY, scale, rotation} = measurePinch(tracker);
+
+            /**
+             * @name Event detail structure
+             * @property {TouchEvent|PointerEvent} event   the <code>TouchEvent</code> or <code>PointerEvent</code> that triggered this <code>swipe</code> event (only its type is logged to console)
+             * @property {number}      identifier          the <code>Touch.identifier</code> or <code>PointerEvent.pointerId</code> of the touch this event reports on; each touch is tracked separately
+             * @property {string}      pointerType         the kind of input: touch &vert; mouse &vert; pen
+             * @property {number}      pressure            normalized pressure from 0 to 1 (<code>Touch.force</code> for touches; 0 where the hardware doesn't report it)
+             * @property {number}      tiltX               pen tilt in degrees along the X axis, from -90 to 90 (0 for touches and mice)
+             * @property {number}      tiltY               pen tilt in degrees along the Y axis, from -90 to 90 (0 for touches and mice)
+             * @property {number}      touchCount          number of touches currently tracked, including this one
+             * @property {number}      eventTime           timestamp for the creation of this event, as milliseconds since Unix epoch
+             * @property {number}      duration            total time since <code>touchstart</code> event in milliseconds
+             * @property {boolean}     initial             true if the triggering event is <code>touchstart</code> or <code>pointerdown</code>
+             * @property {boolean}     ongoing             false if the triggering event is terminal (<code>touchend</code>, <code>touchcancel</code>, <code>pointerup</code>, <code>pointercancel</code>)
+             * @property {string}      cardinal4           current direction from the origin: N &vert; S &vert; E &vert; W (in the element's own, rotated frame when <code>directionFrame</code> is <code>"element"</code>)
+             * @property {string}      cardinal8           current direction from the origin: N &vert; S &vert; E &vert; W &vert; NE &vert; NW &vert; SE &vert; SW (in the same frame as <code>cardinal4</code>)
+             * @property {number}      theta               the number of degrees from East, going clockwise (0=E, 90=S, 180=W, 270=N) (in the same frame as <code>cardinal4</code>)
+             * @property {Array<Object>} segments          the straight segments of the touch's path so far, each <code>{cardinal4, cardinal8, length, duration}</code>: its direction, its length in pixels, and how many milliseconds it took; a new segment starts when the heading turns more than <code>segmentAngle</code> degrees (empty until the touch moves <code>segmentMinDistance</code> pixels; null on start and move events when <code>fields</code> leaves it out)
+             * @property {number}      coalescedCount      how many input samples this event reports on: with <code>delivery: "frame"</code>, every move since the last <code>swipe</code> event, counting the positions the browser coalesced into each pointer event (1 for events that aren't moves)
+             * @property {string}      lockedAxis          the axis the touch is locked to when <code>axisLock</code> is on: x &vert; y (null until it moves <code>lockSlop</code> pixels, or when <code>axisLock</code> is off)
+             * @property {string}      fromEdge            the edge of the tracked element (of the viewport, for the document) the touch started on: left &vert; right &vert; top &vert; bottom (null if it started more than <code>edgeWidth</code> pixels from every edge)
+             * @property {number}      originX             X coordinate of the initial touch (from <code>touchstart</code>)
+             * @property {number}      originY             Y coordinate of the initial touch (from <code>touchstart</code>)
+             * @property {number}      currentX            X coordinate of the latest touch event (from <code>touchmove</code> or <code>touchend</code>)
+             * @property {number}      currentY            Y coordinate of the latest touch event (from <code>touchmove</code> or <code>touchend</code>)
+             * @property {number}      elementOriginX      <code>originX</code> relative to the left edge of the tracked element (equal to <code>originX</code> for the document)
+             * @property {number}      elementOriginY      <code>originY</code> relative to the top edge of the tracked element (equal to <code>originY</code> for the document)
+             * @property {number}      elementCurrentX     <code>currentX</code> relative to the left edge of the tracked element, as positioned at <code>touchstart</code>
+             * @property {number}      elementCurrentY     <code>currentY</code> relative to the top edge of the tracked element, as positioned at <code>touchstart</code>
+             * @property {number}      pageOriginX         <code>originX</code> relative to the document, as scrolled at <code>touchstart</code>
+             * @property {number}      pageOriginY         <code>originY</code> relative to the document, as scrolled at <code>touchstart</code>
+             * @property {number}      pageCurrentX        <code>currentX</code> relative to the document
+             * @property {number}      pageCurrentY        <code>currentY</code> relative to the document
+             * @property {number}      predictedX          X coordinate the browser predicts the touch will move to next, from <code>PointerEvent.getPredictedEvents()</code> (null where there's no prediction, like for touches, and for events that aren't moves)
+             * @property {number}      predictedY          Y coordinate the browser predicts the touch will move to next (null where there's no prediction)
+             * @property {number}      localOriginX        <code>originX</code> in the tracked element's own coordinates, undoing its CSS transform and those of its offset parents (equal to <code>elementOriginX</code> without transforms) (null when left out of <code>fields</code>)
+             * @property {number}      localOriginY        <code>originY</code> in the tracked element's own coordinates, undoing its CSS transform and those of its offset parents (equal to <code>elementOriginY</code> without transforms) (null when left out of <code>fields</code>)
+             * @property {number}      localCurrentX       <code>currentX</code> in the tracked element's own coordinates, as transformed and scrolled at <code>touchstart</code> (null when left out of <code>fields</code>)
+             * @property {number}      localCurrentY       <code>currentY</code> in the tracked element's own coordinates, as transformed and scrolled at <code>touchstart</code> (null when left out of <code>fields</code>)
+             * @property {number}      totalDistanceX      total horizontal distance travelled in pixels from <code>originX</code>
+             * @property {number}      totalDistanceY      total vertical distance travelled in pixels from <code>originY</code>
+             * @property {number}      totalDistance       total real distance travelled in pixels from <code>touchstart</code> origin
+             * @property {number}      normalizedDistanceX horizontal distance travelled in the tracked element's own coordinates, as a fraction of its width (of the viewport's, for the document) (null when left out of <code>fields</code>)
+             * @property {number}      normalizedDistanceY vertical distance travelled in the tracked element's own coordinates, as a fraction of its height (of the viewport's, for the document) (null when left out of <code>fields</code>)
+             * @property {number}      latestDistanceX     total horizontal linear distance travelled in pixels since last <code>swipe</code> event
+             * @property {number}      latestDistanceY     total vertical linear distance travelled in pixels since last <code>swipe</code> event
+             * @property {number}      latestDistance      total linear distance travelled in pixels since last <code>swipe</code> event
+             * @property {number}      overallSpeedX       <code>totalDistanceX</code> / <code>duration</code>
+             * @property {number}      overallSpeedY       <code>totalDistanceY</code> / <code>duration</code>
+             * @property {number}      overallSpeed        <code>totalDistance</code> / <code>duration</code>
+             * @property {number}      latestSpeedX        <code>latestDistanceX</code> / milliseconds since last <code>swipe</code> event
+             * @property {number}      latestSpeedY        <code>latestDistanceY</code> / milliseconds since last <code>swipe</code> event
+             * @property {number}      latestSpeed         <code>latestDistance</code> / milliseconds since last <code>swipe</code> event
+             * @property {number}      velocityX           smoothed horizontal velocity in <code>speedUnit</code> over the last <code>velocityWindow</code> milliseconds (negative is left)
+             * @property {number}      velocityY           smoothed vertical velocity in <code>speedUnit</code> over the last <code>velocityWindow</code> milliseconds (negative is up)
+             * @property {number}      releaseVelocityX    <code>velocityX</code> at the moment the touch was lifted (null while ongoing)
+             * @property {number}      releaseVelocityY    <code>velocityY</code> at the moment the touch was lifted (null while ongoing)
+             * @property {number}      releaseVelocity     speed in <code>speedUnit</code> at the moment the touch was lifted, for flings and momentum (null while ongoing)
+             * @property {number}      centroidX           X coordinate of the midpoint between the first two tracked touches (null with fewer than two touches)
+             * @property {number}      centroidY           Y coordinate of the midpoint between the first two tracked touches (null with fewer than two touches)
+             * @property {number}      scale               distance between the first two tracked touches / their distance when both first came down (null with fewer than two touches)
+             * @property {number}      rotation            degrees the first two tracked touches have turned, clockwise, since both first came down (null with fewer than two touches)
+             */
+            const event  = swipeEvent(tracker, pointer);
+            const detail = event.detail;
+
+            detail.event               = e;
+            detail.identifier          = pointer.identifier;
+            detail.touchCount          = tracker.pointers.size;
+            detail.pointerType         = pointer.pointerType;
+            detail.pressure            = pointer.sample.pressure;
+            detail.tiltX               = pointer.sample.tiltX;
+            detail.tiltY               = pointer.sample.tiltY;
+            detail.eventTime           = eventTime;
+            detail.duration            = duration;
+            detail.initial             = initial;
+            detail.ongoing             = ongoing;
+            detail.cardinal4           = cardinal4;
+            detail.cardinal8           = cardinal8;
+            detail.theta               = theta;
+            detail.segments            = ongoing && !wantsField(tracker, "segments") ? null : describeSegments(tracker, pointer, eventTime);
+            detail.lockedAxis          = pointer.lockedAxis;
+            detail.fromEdge            = pointer.fromEdge;
+            detail.coalescedCount      = Math.max(pointer.samples, 1);
+            detail.originX             = originX;
+            detail.originY             = originY;
+            detail.currentX            = currentX;
+            detail.currentY            = currentY;
+            detail.elementOriginX      = originX - bounds.left;
+            detail.elementOriginY      = originY - bounds.top;
+            detail.elementCurrentX     = currentX - bounds.left;
+            detail.elementCurrentY     = currentY - bounds.top;
+            detail.pageOriginX         = originX + pointer.scrollX;
+            detail.pageOriginY         = originY + pointer.scrollY;
+            detail.pageCurrentX        = currentX + window.scrollX;
+            detail.pageCurrentY        = currentY + window.scrollY;
+            detail.predictedX          = phase === "move" && pointer.predicted ? pointer.predicted.x : null;
+            detail.predictedY          = phase === "move" && pointer.predicted ? pointer.predicted.y : null;
+            detail.localOriginX        = frame ? localOrigin.x  : null;
+            detail.localOriginY        = frame ? localOrigin.y  : null;
+            detail.localCurrentX       = frame ? localCurrent.x : null;
+            detail.localCurrentY       = frame ? localCurrent.y : null;
+            detail.normalizedDistanceX = frame ? (Math.abs(localCurrent.x - localOrigin.x) / frame.width)  || 0 : null;
+            detail.normalizedDistanceY = frame ? (Math.abs(localCurrent.y - localOrigin.y) / frame.height) || 0 : null;
+            detail.totalDistanceX      = totalDistanceX;
+            detail.totalDistanceY      = totalDistanceY;
+            detail.totalDistance       = totalDistance;
+            detail.latestDistanceX     = latestDistanceX;
+            detail.latestDistanceY     = latestDistanceY;
+            detail.latestDistance      = latestDistance;
+            detail.overallSpeedX       = overallSpeedX * speedScale;
+            detail.overallSpeedY       = overallSpeedY * speedScale;
+            detail.overallSpeed        = overallSpeed  * speedScale;
+            detail.latestSpeedX        = latestSpeedX  * speedScale;
+            detail.latestSpeedY        = latestSpeedY  * speedScale;
+            detail.latestSpeed         = latestSpeed   * speedScale;
+            detail.velocityX           = velocityX     * speedScale;
+            detail.velocityY           = velocityY     * speedScale;
+            detail.releaseVelocityX    = ongoing ? null : velocityX * speedScale;
+            detail.releaseVelocityY    = ongoing ? null : velocityY * speedScale;
+            detail.releaseVelocity     = ongoing ? null : Math.hypot(velocityX, velocityY) * speedScale;
+            detail.centroidX           = centroidX;
+            detail.centroidY           = centroidY;
+            detail.scale               = scale;
+            detail.rotation            = rotation;
+
+            pointer.samples = 0;
+
+            dispatchTarget(tracker).dispatchEvent(event);
+
+            pointer.maxSpeed      = Math.max(pointer.maxSpeed || 0, Math.hypot(velocityX, velocityY) * speedScale);
+            pointer.maxTouchCount = Math.max(pointer.maxTouchCount || 0, tracker.pointers.size);
+
+            const summary = ongoing ? null : summarizeGesture(tracker, pointer, phase, event.detail);
+
+            deliverToSinks(pointer, phase, event.detail, summary);
+
+            tracker.observers.forEach(observer => observer(event.detail, phase));
+
+            overlayTouch(tracker, pointer, event.detail);
+
+            recognizeGesture(tracker, pointer, phase, event.detail);
+
+            if (summary) {
+                dispatchGesture(tracker, "swipeend", event.detail, summary);
+            }
+
+            return event.detail;
+        }
+
+        /**
+         * Turns one touch's telemetry into discrete events: swipecancel, swipeleft/right/up/down, tap, doubletap, longpress,
+         * edgeswipe, and gesture. Each carries the <code>swipe</code> detail it was recognized from.
+         */
+        function recognizeGesture(tracker, pointer, phase, detail) {
+            const options = tracker.options;
+
+            pointer.latestDetail = detail;
+            pointer.maxDistance  = Math.max(pointer.maxDistance || 0, detail.totalDistance);
+
+            if (phase === "start") {
+                pointer.longPressTimer = setTimeout(() => {
+                    pointer.longPressed = true;
+                    dispatchGesture(tracker, "longpress", pointer.latestDetail);
+                }, options.longPressDelay);
+            }
+
+            if (pointer.maxDistance > options.tapSlop || pointer.multiTouch || phase !== "start" && phase !== "move") {
+                clearTimeout(pointer.longPressTimer);
+            }
+
+            if (phase === "move" && pointer.fromEdge && !pointer.edgeSwiped && !pointer.multiTouch) {
+                const [inwardX, inwardY] = EDGE_INWARD[pointer.fromEdge];
+
+                if ((detail.currentX - detail.originX) * inwardX + (detail.currentY - detail.originY) * inwardY >= options.edgeSwipeDistance) {
+                    pointer.edgeSwiped = true;
+                    dispatchGesture(tracker, "edgeswipe", detail);
+                }
+            }
+
+            if (phase === "cancel" && pointer.handedOver) {
+                dispatchGesture(tracker, "swipecancel", detail);
+            }
+
+            if (phase !== "end" || pointer.multiTouch || pointer.longPressed) {
+                return;
+            }
+
+            recognizeShape(tracker, pointer, detail);
+
+            patterns.forEach(pattern => {
+                if (matchesPattern(detail.segments, pattern.directions)) {
+                    pattern.handler(detail);
+                }
+            });
+
+            if (pointer.maxDistance <= options.tapSlop) {
+                if (detail.duration <= options.tapMaxDuration) {
+                    recognizeTap(tracker, detail);
+                }
+            }
+            else if (detail.cardinal4 !== null // no direction is reported under minDistance, so there's no directional swipe either
+                  && detail.totalDistance >= options.swipeMinDistance
+                  && detail.overallSpeed  >= options.swipeMinVelocity * SPEED_UNITS[options.speedUnit](options)
+                  && detail.duration      <= options.swipeMaxDuration) {
+                dispatchGesture(tracker, SWIPE_EVENT_TYPES[detail.cardinal4], detail);
+            }
+        }
+
+        function recognizeTap(tracker, detail) {
+            const lastTap = tracker.lastTap;
+
+            dispatchGesture(tracker, "tap", detail);
+
+            if (lastTap
+                    && detail.eventTime - lastTap.eventTime <= tracker.options.doubleTapInterval
+                    && Math.hypot(detail.currentX - lastTap.currentX, detail.currentY - lastTap.currentY) <= tracker.options.doubleTapSlop) {
+                tracker.lastTap = null;
+                dispatchGesture(tracker, "doubletap", detail);
+            }
+            else {
+                tracker.lastTap = detail;
+            }
+        }
+
+        /**
+         * A 4-point direction in a pattern matches a segment heading that way by <code>cardinal4</code>, so diagonal
+         * strokes still count; a diagonal matches only a segment heading that way by <code>cardinal8</code>.
+         */
+        function matchesPattern(segments, directions) {
+            return segments.length === directions.length
+                && segments.every((segment, i) => directions[i] === (directions[i].length === 1 ? segment.cardinal4 : segment.cardinal8));
+        }
+
+        function recognizeShape(tracker, pointer, detail) {
+            if (pathLength(pointer.path) < tracker.options.swipeMinDistance || gestureTemplates.length === 0) {
+                return;
+            }
+
+            const stroke = normalizeStroke(pointer.path);
+            const best   = gestureTemplates.reduce((closest, template) => {
+                const distance = distanceAtBestAngle(stroke, template.points);
+                return distance < closest.distance ? {name: template.name, distance: distance} : closest;
+            }, {name: null, distance: Infinity});
+
+            const score = 1 - best.distance / STROKE_MAX_SCORE;
+
+            if (score >= tracker.options.gestureMinScore) {
+                dispatchGesture(tracker, "gesture", detail, {name: best.name, score: score, path: stroke});
+            }
+        }
+
+        /**
+         * Resample a stroke to evenly spaced points, turn it so its first point is due West of its centroid, scale it to a
+         * square, and center it on the origin, so strokes can be compared point by point.
+         */
+        function normalizeStroke(points) {
+            const resampled = resampleStroke(points);
+            const centroid  = centroidOf(resampled);
+            const angle     = Math.atan2(centroid.y - resampled[0].y, centroid.x - resampled[0].x);
+
+            const rotated = rotateStroke(resampled, -angle);
+            const scaled  = scaleStroke(rotated);
+            const center  = centroidOf(scaled);
+
+            return scaled.map(point => ({x: point.x - center.x, y: point.y - center.y}));
+        }
+
+        function resampleStroke(points) {
+            const interval  = pathLength(points) / (STROKE_POINTS - 1);
+            const remaining = points.map(point => ({x: point.x, y: point.y}));
+            const resampled = [remaining[0]];
+
+            let travelled = 0;
+
+            for (let i = 1; i < remaining.length; i++) {
+                const previous = remaining[i - 1];
+                const distance = Math.hypot(remaining[i].x - previous.x, remaining[i].y - previous.y);
+
+                if (travelled + distance >= interval && distance > 0) {
+                    const fraction = (interval - travelled) / distance;
+                    const point    = {
+                        x: previous.x + fraction * (remaining[i].x - previous.x),
+                        y: previous.y + fraction * (remaining[i].y - previous.y)
+                    };
+
+                    resampled.push(point);
+                    remaining.splice(i, 0, point); // measure on from the new point
+                    travelled = 0;
+                }
+                else {
+                    travelled += distance;
+                }
+            }
+
+            // rounding can leave the stroke a point short
+            while (resampled.length < STROKE_POINTS) {
+                resampled.push(remaining[remaining.length - 1]);
+            }
+
+            return resampled.slice(0, STROKE_POINTS);
+        }
+
+        function rotateStroke(points, angle) {
+            const centroid = centroidOf(points);
+            const cos      = Math.cos(angle);
+            const sin      = Math.sin(angle);
+
+            return points.map(point => ({
+                x: (point.x - centroid.x) * cos - (point.y - centroid.y) * sin + centroid.x,
+                y: (point.x - centroid.x) * sin + (point.y - centroid.y) * cos + centroid.y
+            }));
+        }
+
+        function scaleStroke(points) {
+            const {left, top, right, bottom} = extentOf(points);
+            const width  = right - left;
+            const height = bottom - top;
+
+            // lines are scaled uniformly, or the thin dimension would be blown up into noise
+            const uniform = Math.min(width, height) / Math.max(width, height) <= STROKE_1D_RATIO;
+            const scaleX  = STROKE_SIZE / (uniform ? Math.max(width, height) : width);
+            const scaleY  = STROKE_SIZE / (uniform ? Math.max(width, height) : height);
+
+            return points.map(point => ({x: point.x * scaleX, y: point.y * scaleY}));
+        }
+
+        /**
+         * The smallest average distance between corresponding points of two normalized strokes, turning the first up to
+         * <code>STROKE_ANGLE</code> either way, found by golden-section search.
+         */
+        function distanceAtBestAngle(points, template) {
+            let low  = -STROKE_ANGLE;
+            let high = STROKE_ANGLE;
+
+            let angle1    = GOLDEN_RATIO * low + (1 - GOLDEN_RATIO) * high;
+            let angle2    = (1 - GOLDEN_RATIO) * low + GOLDEN_RATIO * high;
+            let distance1 = strokeDistance(rotateStroke(points, angle1), template);
+            let distance2 = strokeDistance(rotateStroke(points, angle2), template);
+
+            while (Math.abs(high - low) > STROKE_PRECISION) {
+                if (distance1 < distance2) {
+                    high      = angle2;
+                    angle2    = angle1;
+                    distance2 = distance1;
+                    angle1    = GOLDEN_RATIO * low + (1 - GOLDEN_RATIO) * high;
+                    distance1 = strokeDistance(rotateStroke(points, angle1), template);
+                }
+                else {
+                    low       = angle1;
+                    angle1    = angle2;
+                    distance1 = distance2;
+                    angle2    = (1 - GOLDEN_RATIO) * low + GOLDEN_RATIO * high;
+                    distance2 = strokeDistance(rotateStroke(points, angle2), template);
+                }
+            }
+
+            return Math.min(distance1, distance2);
+        }
+
+        function strokeDistance(points, template) {
+            return points.reduce((sum, point, i) => sum + Math.hypot(point.x - template[i].x, point.y - template[i].y), 0) / points.length;
+        }
+
+        function centroidOf(points) {
+            return {
+                x: points.reduce((sum, point) => sum + point.x, 0) / points.length,
+                y: points.reduce((sum, point) => sum + point.y, 0) / points.length
+            };
+        }
+
+        // folded rather than spread into Math.min() and Math.max(), which overflow the stack on long paths
+        function extentOf(points) {
+            return points.reduce((extent, point) => ({
+                left:   Math.min(extent.left,   point.x),
+                top:    Math.min(extent.top,    point.y),
+                right:  Math.max(extent.right,  point.x),
+                bottom: Math.max(extent.bottom, point.y)
+            }), {left: Infinity, top: Infinity, right: -Infinity, bottom: -Infinity});
+        }
+
+        function pathLength(points) {
+            return points.reduce((length, point, i) => i === 0 ? 0 : length + Math.hypot(point.x - points[i - 1].x, point.y - points[i - 1].y), 0);
+        }
+
+        function dispatchTarget(tracker) {
+            return tracker.options.target || tracker.element;
+        }
+
+        /**
+         * The <code>swipe</code> event to fill in and dispatch: a new one with an empty detail or, with
+         * <code>reuseDetail</code>, the touch's one event, its detail written over in place. Each touch gets its own, so
+         * a detail stays put once its touch ends.
+         */
+        function swipeEvent(tracker, pointer) {
+            if (!tracker.options.reuseDetail) {
+                return new CustomEvent(tracker.options.eventName, {bubbles: tracker.options.bubbles, detail: {}});
+            }
+            if (!pointer.reusedEvent || pointer.reusedEvent.type !== tracker.options.eventName || pointer.reusedEvent.bubbles !== tracker.options.bubbles) {
+                pointer.reusedEvent = new CustomEvent(tracker.options.eventName, {bubbles: tracker.options.bubbles, detail: {}});
+            }
+
+            return pointer.reusedEvent;
+        }
+
+        /**
+         * Dispatch a discrete gesture event. Its detail is the <code>swipe</code> detail it was recognized from, or, when
+         * the gesture has results of its own, those results plus the <code>swipe</code> detail as <code>swipe</code>.
+         */
+        function dispatchGesture(tracker, type, detail, results) {
+            overlayGesture(type, detail, results);
+
+            dispatchTarget(tracker).dispatchEvent(new CustomEvent(type, {
+                bubbles: tracker.options.bubbles,
+                detail:  results ? Object.assign({}, results, {swipe: detail}) : detail
+            }));
+        }
+
+        /**
+         * Moves an element with the first touch that lands on it, then snaps it to the nearest snap point, or dismisses it
+         * off-screen, when the touch lifts.
+         */
+        function createDraggable(element, options) {
+            const axis       = options.axis || "both";
+            const bounds     = Object.assign({left: -Infinity, right: Infinity, top: -Infinity, bottom: Infinity}, options.bounds);
+            const snapPoints = options.snapPoints || [{x: 0, y: 0}];
+            const tracker    = createTracker(element, {axisLock: axis === "both" ? null : axis});
+
+            const drag = {
+                tracker:    tracker,
+                position:   {x: 0, y: 0},
+                start:      null,
+                identifier: null,
+                dragging:   false
+            };
+
+            element.style.touchAction = DRAG_TOUCH_ACTIONS[axis];
+
+            tracker.observers.push((detail, phase) => {
+                if (detail.initial && drag.identifier === null) {
+                    drag.identifier = detail.identifier;
+                    drag.start      = Object.assign({}, drag.position);
+                    moveElement(element, drag.position, 0);
+                }
+                if (detail.identifier !== drag.identifier) {
+                    return;
+                }
+
+                const offset = {
+                    x: axis === "y" ? drag.start.x : clamp(drag.start.x + detail.currentX - detail.originX, bounds.left, bounds.right),
+                    y: axis === "x" ? drag.start.y : clamp(drag.start.y + detail.currentY - detail.originY, bounds.top, bounds.bottom)
+                };
+
+                if (!drag.dragging && detail.totalDistance > 0) {
+                    drag.dragging = true;
+                    dispatchDragEvent(element, "dragstart", drag.position, detail);
+                }
+
+                if (detail.ongoing) {
+                    drag.position = offset;
+                    moveElement(element, offset, 0);
+                    return;
+                }
+
+                drag.identifier = null;
+                if (!drag.dragging) {
+                    return;
+                }
+                drag.dragging = false;
+
+                // the controller works in pixels per millisecond, whatever unit the detail reports in
+                const speedScale = SPEED_UNITS[tracker.options.speedUnit](tracker.options);
+                const velocityX  = axis === "y" ? 0 : detail.releaseVelocityX / speedScale;
+                const velocityY  = axis === "x" ? 0 : detail.releaseVelocityY / speedScale;
+                const dismissal = phase === "cancel" || options.dismissThreshold === undefined || options.dismissThreshold === null
+                    ? null
+                    : dismissDirection(offset, velocityX, velocityY, options);
+
+                if (dismissal) {
+                    drag.position = {
+                        x: offset.x + dismissal.x * (window.innerWidth  + element.offsetWidth),
+                        y: offset.y + dismissal.y * (window.innerHeight + element.offsetHeight)
+                    };
+                    const duration = moveElement(element, drag.position, DISMISS_DURATION);
+
+                    dispatchDragEvent(element, "dragend", drag.position, detail, true);
+                    setTimeout(() => dispatchDragEvent(element, "dismiss", drag.position, detail, true), duration);
+                }
+                else {
+                    const projected = {x: offset.x + velocityX * MOMENTUM_PROJECTION, y: offset.y + velocityY * MOMENTUM_PROJECTION};
+
+                    const nearest   = snapPoints.reduce((closest, point) =>
+                        Math.hypot(point.x - projected.x, point.y - projected.y) < Math.hypot(closest.x - projected.x, closest.y - projected.y)
+                            ? point
+                            : closest
+                    );
+
+                    drag.position = {x: nearest.x, y: nearest.y};
+                    moveElement(element, drag.position, SNAP_DURATION);
+
+                    dispatchDragEvent(element, "dragend", drag.position, detail, false);
+                }
+            });
+
+            return drag;
+        }
+
+        /**
+         * The unit direction to dismiss in, if the drag went past <code>dismissThreshold</code> along an axis or was flung
+         * faster than <code>dismissVelocity</code>; otherwise null.
+         */
+        function dismissDirection(offset, velocityX, velocityY, options) {
+            const velocity = options.dismissVelocity !== undefined ? options.dismissVelocity : 1;
+
+            const dismissX = Math.abs(offset.x) >= options.dismissThreshold || Math.abs(velocityX) >= velocity;
+            const dismissY = Math.abs(offset.y) >= options.dismissThreshold || Math.abs(velocityY) >= velocity;
+
+            if (!dismissX && !dismissY) {
+                return null;
+            }
+
+            // go the way the element was flung, or if it was let go gently, the way it was dragged
+            const directionX = Math.sign(Math.abs(velocityX) >= velocity ? velocityX : offset.x);
+            const directionY = Math.sign(Math.abs(velocityY) >= velocity ? velocityY : offset.y);
+
+            return {x: dismissX ? directionX : 0, y: dismissY ? directionY : 0};
+        }
+
+        /**
+         * Translate an element, animating over <code>duration</code> milliseconds unless the user prefers reduced motion.
+         * Returns the duration actually used.
+         */
+        function moveElement(element, position, duration) {
+            const reducedMotion = window.matchMedia && window.matchMedia("(prefers-reduced-motion: reduce)").matches;
+            const actual        = reducedMotion ? 0 : duration;
+
+            element.style.transition = actual ? `transform ${actual}ms ease-out` : "";
+            element.style.transform  = `translate(${position.x}px, ${position.y}px)`;
+
+            return actual;
+        }
+
+        function dispatchDragEvent(element, type, position, swipe, dismissed) {
+            element.dispatchEvent(new CustomEvent(type, {
+                bubbles: true,
+                detail:  {x: position.x, y: position.y, dismissed: !!dismissed, swipe: swipe}
+            }));
+        }
+
+        function validateDraggableOptions(options) {
+            const isNumber = value => typeof value === "number" && !Number.isNaN(value);
+
+            if (options.axis !== undefined && !DRAG_AXES.includes(options.axis)) {
+                throw new TypeError(`SwipeEvents.draggable: axis must be one of "${DRAG_AXES.join("\", \"")}", but was ${describeValue(options.axis)}`);
+            }
+            if (options.bounds !== undefined && (!options.bounds || !Object.values(options.bounds).every(isNumber))) {
+                throw new TypeError("SwipeEvents.draggable: bounds must be an object of numbers, like {left: -100, right: 0}");
+            }
+            if (options.snapPoints !== undefined
+                    && !(Array.isArray(options.snapPoints) && options.snapPoints.length > 0
+                         && options.snapPoints.every(point => point && isNumber(point.x) && isNumber(point.y)))) {
+                throw new TypeError("SwipeEvents.draggable: snapPoints must be a non-empty array of points, like [{x: 0, y: 0}]");
+            }
+            ["dismissThreshold", "dismissVelocity"]
+                .filter(name => options[name] !== undefined && options[name] !== null && !isNumberBetween(options[name], 0, Infinity))
+                .forEach(name => {
+                    throw new TypeError(`SwipeEvents.draggable: ${name} must be a non-negative number, but was ${describeValue(options[name])}`);
+                });
+        }
+
+        function clamp(value, min, max) {
+            return Math.min(Math.max(value, min), max);
+        }
+
+        /**
+         * Hand the sinks what they asked for: a record of this event, or, when the touch is over, a summary of the whole
+         * gesture. Whether a sink hears about a gesture at all is decided once, when it starts, so sampled gestures arrive
+         * whole. A sink that throws is reported on the console and doesn't stop the others.
+         */
+        function deliverToSinks(pointer, phase, detail, summary) {
+            if (phase === "start") {
+                pointer.sampledBy = new Set(Array.from(sinks).filter(sink => Math.random() < sink.sampleRate));
+            }
+
+            pointer.sampledBy.forEach(sink => {
+                if (!sinks.has(sink) || !sink.phases.includes(phase) || (sink.level === "gesture" && !summary)) {
+                    return;
+                }
+                try {
+                    sink.fn(sink.level === "event" ? eventRecord(phase, detail) : Object.assign({type: "gesture"}, copySummary(summary)));
+                }
+                catch (error) {
+                    console.error("swipe-events.js: a telemetry sink threw", error);
+                }
+            });
+        }
+
+        // returns a function that removes the sink again
+        function registerSink(sink, options) {
+            const registration = Object.assign({fn: sink, level: "gesture", sampleRate: 1, phases: PHASES}, options);
+
+            sinks.add(registration);
+
+            return () => {
+                sinks.delete(registration);
+            };
+        }
+
+        // the detail without the live event, which can't be serialized or kept
+        function eventRecord(phase, detail) {
+            const record = Object.assign({type: "event", phase: phase, eventType: detail.event.type}, detail);
+
+            delete record.event;
+            record.segments = detail.segments && detail.segments.map(segment => Object.assign({}, segment));
+
+            return record;
+        }
+
+        /**
+         * The statistics of a whole touch, from its recorded path and the aggregates kept as it went, for
+         * <code>swipeend</code> and for gesture-level sinks.
+         */
+        function summarizeGesture(tracker, pointer, phase, detail) {
+            const speedScale = SPEED_UNITS[tracker.options.speedUnit](tracker.options);
+            const length     = pathLength(pointer.path);
+            const extent     = pointer.extent;
+            const firstMove  = pointer.path.find(position => position.x !== detail.originX || position.y !== detail.originY);
+
+            /**
+             * @name Gesture summary structure
+             * @property {string}      phase           how the touch ended: end &vert; cancel (<code>touchcancel</code>, <code>pointercancel</code>, or an axis-locked <code>swipecancel</code>)
+             * @property {string}      eventType       the type of the input event that ended the touch, like <code>touchend</code>
+             * @property {number}      identifier      the <code>identifier</code> of the touch
+             * @property {string}      pointerType     the kind of input: touch &vert; mouse &vert; pen
+             * @property {number}      startTime       timestamp of <code>touchstart</code>, as milliseconds since Unix epoch
+             * @property {number}      endTime         timestamp of the event that ended the touch
+             * @property {number}      duration        <code>endTime</code> - <code>startTime</code>
+             * @property {number}      timeToFirstMove milliseconds from <code>touchstart</code> until the touch first moved (null if it never did)
+             * @property {number}      sampleCount     number of positions recorded: one for <code>touchstart</code>, one for each <code>touchmove</code>, and, for pens and mice, one for each position the browser coalesced into a <code>pointermove</code>
+             * @property {number}      originX         X coordinate of the initial touch
+             * @property {number}      originY         Y coordinate of the initial touch
+             * @property {number}      endX            X coordinate where the touch ended
+             * @property {number}      endY            Y coordinate where the touch ended
+             * @property {string}      cardinal4       direction from the origin to the end, as in the final <code>swipe</code> event
+             * @property {string}      cardinal8       direction from the origin to the end, as in the final <code>swipe</code> event
+             * @property {number}      theta           angle from the origin to the end, as in the final <code>swipe</code> event
+             * @property {Array<Object>} segments      the straight segments of the path, as in the final <code>swipe</code> event
+             * @property {Object}      bounds          the box the path stayed inside, in viewport coordinates: <code>{left, top, right, bottom, width, height}</code>
+             * @property {number}      totalDistance   straight-line distance in pixels from the origin to the end
+             * @property {number}      pathLength      distance in pixels actually travelled along the path
+             * @property {number}      straightness    <code>totalDistance</code> / <code>pathLength</code>: 1 for a straight line, toward 0 for paths that wander or double back (null if the touch never moved)
+             * @property {number}      averageSpeed    <code>pathLength</code> / <code>duration</code>, in <code>speedUnit</code>
+             * @property {number}      maxSpeed        peak smoothed speed (<code>velocityX</code> and <code>velocityY</code> combined), in <code>speedUnit</code>
+             * @property {number}      releaseVelocity speed at the moment the touch was lifted, in <code>speedUnit</code>
+             * @property {number}      maxTouchCount   the most touches tracked at once while this one was down
+             */
+            return {
+                phase:           phase,
+                eventType:       detail.event.type,
+                identifier:      detail.identifier,
+                pointerType:     detail.pointerType,
+                startTime:       pointer.firstEvent,
+                endTime:         detail.eventTime,
+                duration:        detail.duration,
+                timeToFirstMove: firstMove ? firstMove.time - pointer.firstEvent : null,
+                sampleCount:     pointer.path.length,
+                originX:         detail.originX,
+                originY:         detail.originY,
+                endX:            detail.currentX,
+                endY:            detail.currentY,
+                cardinal4:       detail.cardinal4,
+                cardinal8:       detail.cardinal8,
+                theta:           detail.theta,
+                segments:        detail.segments,
+                bounds:          {
+                    left:   extent.left,
+                    top:    extent.top,
+                    right:  extent.right,
+                    bottom: extent.bottom,
+                    width:  extent.right  - extent.left,
+                    height: extent.bottom - extent.top
+                },
+                totalDistance:   detail.totalDistance,
+                pathLength:      length,
+                straightness:    length > 0 ? detail.totalDistance / length : null,
+                averageSpeed:    ((length / detail.duration) || 0) * speedScale,
+                maxSpeed:        pointer.maxSpeed,
+                releaseVelocity: detail.releaseVelocity,
+                maxTouchCount:   pointer.maxTouchCount
+            };
+        }
+
+        // sinks may keep what they're given, so they get their own copy of everything nested
+        function copySummary(summary) {
+            return Object.assign({}, summary, {
+                segments: summary.segments.map(segment => Object.assign({}, segment)),
+                bounds:   Object.assign({}, summary.bounds)
+            });
+        }
+
+        function validateSinkOptions(options) {
+            if (options.level !== undefined && !SINK_LEVELS.includes(options.level)) {
+                throw new TypeError(`SwipeEvents.addSink: level must be one of "${SINK_LEVELS.join("\", \"")}", but was ${describeValue(options.level)}`);
+            }
+            if (options.sampleRate !== undefined && !isNumberBetween(options.sampleRate, 0, 1)) {
+                throw new TypeError(`SwipeEvents.addSink: sampleRate must be a number from 0 to 1, but was ${describeValue(options.sampleRate)}`);
+            }
+            if (options.phases !== undefined && !(Array.isArray(options.phases) && options.phases.every(phase => PHASES.includes(phase)))) {
+                throw new TypeError(`SwipeEvents.addSink: phases must be an array of "${PHASES.join("\", \"")}", but was ${describeValue(options.phases)}`);
+            }
+        }
+
+        function logRecord(record) {
+            if (record.type === "gesture") {
+                console.debug("-- swipe gesture --", record);
+                return;
+            }
+
+            const detail = record;
 
-    document.addEventListener("swipe", e => {
-        if (logEvents) {
             console.debug(`
                 -- swipe event --
 
-              %cevent:              ${e.detail.event.type}
-                event time:         ${e.detail.eventTime}
-                duration:           ${e.detail.duration}
-                initial:            ${e.detail.initial}
-                ongoing:            ${e.detail.ongoing}
-              %ccardinal 4:         ${e.detail.cardinal4}
-                cardinal 8:         ${e.detail.cardinal8}
-                theta:              ${e.detail.theta}
-              %corigin X:           ${e.detail.originX}
-                origin Y:           ${e.detail.originY}
-              %ccurrent X:          ${e.detail.currentX}
-                current Y:          ${e.detail.currentY}
-              %ctotal distance X:   ${e.detail.totalDistanceX}
-                total distance Y:   ${e.detail.totalDistanceY}
-                total distance:     ${e.detail.totalDistance}
-              %clatest distance X:  ${e.detail.latestDistanceX}
-                latest distance Y:  ${e.detail.latestDistanceY}
-                latest distance:    ${e.detail.latestDistance}
-              %coverall speed X:    ${e.detail.overallSpeedX}
-                overall speed Y:    ${e.detail.overallSpeedY}
-                overall speed:      ${e.detail.overallSpeed}
-              %clatest speed X:     ${e.detail.latestSpeedX}
-                latest speed Y:     ${e.detail.latestSpeedY}
-                latest speed:       ${e.detail.latestSpeed}
+              %cevent:              ${detail.eventType}
+                identifier:         ${detail.identifier}
+                touch count:        ${detail.touchCount}
+                pointer type:       ${detail.pointerType}
+                pressure:           ${detail.pressure}
+                tilt X:             ${detail.tiltX}
+                tilt Y:             ${detail.tiltY}
+                event time:         ${detail.eventTime}
+                duration:           ${detail.duration}
+                initial:            ${detail.initial}
+                ongoing:            ${detail.ongoing}
+              %ccardinal 4:         ${detail.cardinal4}
+                cardinal 8:         ${detail.cardinal8}
+                theta:              ${detail.theta}
+                segments:           ${detail.segments && detail.segments.map(segment => segment.cardinal8).join(" ")}
+                coalesced count:    ${detail.coalescedCount}
+                locked axis:        ${detail.lockedAxis}
+                from edge:          ${detail.fromEdge}
+              %corigin X:           ${detail.originX}
+                origin Y:           ${detail.originY}
+              %ccurrent X:          ${detail.currentX}
+                current Y:          ${detail.currentY}
+                element origin X:   ${detail.elementOriginX}
+                element origin Y:   ${detail.elementOriginY}
+                element current X:  ${detail.elementCurrentX}
+                element current Y:  ${detail.elementCurrentY}
+                page origin X:      ${detail.pageOriginX}
+                page origin Y:      ${detail.pageOriginY}
+                page current X:     ${detail.pageCurrentX}
+                page current Y:     ${detail.pageCurrentY}
+                predicted X:        ${detail.predictedX}
+                predicted Y:        ${detail.predictedY}
+                local origin X:     ${detail.localOriginX}
+                local origin Y:     ${detail.localOriginY}
+                local current X:    ${detail.localCurrentX}
+                local current Y:    ${detail.localCurrentY}
+              %ctotal distance X:   ${detail.totalDistanceX}
+                total distance Y:   ${detail.totalDistanceY}
+                total distance:     ${detail.totalDistance}
+                normalized dist X:  ${detail.normalizedDistanceX}
+                normalized dist Y:  ${detail.normalizedDistanceY}
+              %clatest distance X:  ${detail.latestDistanceX}
+                latest distance Y:  ${detail.latestDistanceY}
+                latest distance:    ${detail.latestDistance}
+              %coverall speed X:    ${detail.overallSpeedX}
+                overall speed Y:    ${detail.overallSpeedY}
+                overall speed:      ${detail.overallSpeed}
+              %clatest speed X:     ${detail.latestSpeedX}
+                latest speed Y:     ${detail.latestSpeedY}
+                latest speed:       ${detail.latestSpeed}
+              %cvelocity X:         ${detail.velocityX}
+                velocity Y:         ${detail.velocityY}
+                release velocity X: ${detail.releaseVelocityX}
+                release velocity Y: ${detail.releaseVelocityY}
+                release velocity:   ${detail.releaseVelocity}
+              %ccentroid X:         ${detail.centroidX}
+                centroid Y:         ${detail.centroidY}
+                scale:              ${detail.scale}
+                rotation:           ${detail.rotation}
 
             `.replace(/\n[ ]+/g, "\n"),
                 "color: dimgray",
@@ -220,39 +1993,904 @@ var SwipeEvents = SwipeEvents || (() => {
                 "color: blue",
                 "color: orange",
                 "color: purple",
-                "color: darkcyan"
-            )
+                "color: darkcyan",
+                "color: olive",
+                "color: teal"
+            );
+        }
+
+        function createOverlay() {
+            const canvas = document.createElement("canvas");
+            canvas.setAttribute("aria-hidden", "true");
+            canvas.style.cssText = "position: fixed; left: 0; top: 0; width: 100vw; height: 100vh; pointer-events: none; z-index: 2147483647";
+            document.documentElement.appendChild(canvas);
+
+            return {
+                canvas:       canvas,
+                context:      canvas.getContext("2d"),
+                touches:      new Map(), // per-touch state -> {options, detail, endTime}
+                labels:       [],
+                frameRequest: null
+            };
+        }
+
+        function removeOverlay() {
+            if (overlay) {
+                cancelAnimationFrame(overlay.frameRequest);
+                overlay.canvas.remove();
+                overlay = null;
+            }
+        }
+
+        function overlayTouch(tracker, pointer, detail) {
+            if (!overlay) {
+                return;
+            }
+
+            overlay.touches.set(pointer, {
+                options: tracker.options,
+                detail:  detail,
+                endTime: detail.ongoing ? null : performance.now()
+            });
+            requestOverlayFrame();
+        }
+
+        // name a recognized gesture next to the touch it came from; swipeend comes with every touch, so it isn't named
+        function overlayGesture(type, detail, results) {
+            if (!overlay || type === "swipeend") {
+                return;
+            }
+
+            const text = type === "gesture"   ? `gesture: ${results.name} (${results.score.toFixed(2)})`
+                       : type === "edgeswipe" ? `edgeswipe from ${detail.fromEdge}`
+                       : type;
+            const line = overlay.labels.filter(label => label.x === detail.currentX && label.y === detail.currentY).length;
+
+            overlay.labels.push({text: text, x: detail.currentX, y: detail.currentY, line: line, time: performance.now()});
+            requestOverlayFrame();
+        }
+
+        function requestOverlayFrame() {
+            if (overlay.frameRequest === null) {
+                overlay.frameRequest = requestAnimationFrame(drawOverlay);
+            }
         }
-    });
 
-    return {
         /**
-         * Determine whether event logging is currently enabled. Useful for chaining your own logging to this value.
-         * @since 1.0
-         * @memberof SwipeEvents
-         * @returns {boolean} <code>true</code> if logging is enabled, <code>false</code> if it's disabled
-         * @example
-         * document.addEventListener("swipe", e => {
-         *     if (SwipeEvents.telemetryLoggingEnabled()) {
-         *         console.log("I will log also");
-         *     }
-         * })
+         * Redraw the debug overlay, and keep redrawing it every frame while there's anything on it, so ended touches and
+         * gesture labels fade out.
          */
-        telemetryLoggingEnabled: function() {
-            return logEvents;
-        },
+        function drawOverlay(time) {
+            const {canvas, context, touches} = overlay;
+            const ratio = window.devicePixelRatio || 1;
+
+            overlay.frameRequest = null;
+
+            // in device pixels, so lines stay sharp
+            if (canvas.width !== Math.round(window.innerWidth * ratio) || canvas.height !== Math.round(window.innerHeight * ratio)) {
+                canvas.width  = Math.round(window.innerWidth  * ratio);
+                canvas.height = Math.round(window.innerHeight * ratio);
+            }
+            context.setTransform(ratio, 0, 0, ratio, 0, 0);
+            context.clearRect(0, 0, window.innerWidth, window.innerHeight);
+
+            touches.forEach((touch, pointer) => {
+                if (touch.endTime !== null && time - touch.endTime > OVERLAY_LINGER) {
+                    touches.delete(pointer);
+                    return;
+                }
+                context.globalAlpha = touch.endTime === null ? 1 : clamp(1 - (time - touch.endTime) / OVERLAY_LINGER, 0, 1);
+                drawTouch(context, pointer, touch.detail, touch.options);
+            });
+
+            overlay.labels = overlay.labels.filter(label => time - label.time <= OVERLAY_LINGER);
+            overlay.labels.forEach(label => {
+                const y = label.y - 28 - 18 * label.line;
+
+                context.globalAlpha = clamp(1 - (time - label.time) / OVERLAY_LINGER, 0, 1);
+                context.font        = "bold 14px sans-serif";
+                context.lineWidth   = 3;
+                context.strokeStyle = "white";
+                context.fillStyle   = "#6a1b9a";
+                context.strokeText(label.text, label.x + 12, y);
+                context.fillText(label.text, label.x + 12, y);
+            });
+
+            context.globalAlpha = 1;
+
+            if (touches.size > 0 || overlay.labels.length > 0) {
+                requestOverlayFrame();
+            }
+        }
 
         /**
-         * Turn on/off console event logging (debug level). This is generally intended to be run from the console, while debugging.
-         * @since 1.0
-         * @memberof SwipeEvents
-         * @returns {boolean} <code>true</code> if logging is enabled as a result of this operation, <code>false</code> if it's disabled
-         * @example
-         * SwipeEvents.toggleTelemetryLogging()
+         * One touch on the debug overlay: the <code>cardinal8</code> sectors around its origin, with the current one filled
+         * in; its path; the vector from its origin; an arrow to where its velocity would take it in
+         * <code>OVERLAY_LOOKAHEAD</code> milliseconds; and a readout of its direction, distance, and speed.
          */
-        toggleTelemetryLogging: function() {
-            logEvents = !logEvents;
-            return logEvents;
+        function drawTouch(context, pointer, detail, options) {
+            const {originX, originY, currentX, currentY} = detail;
+            const speedScale = SPEED_UNITS[options.speedUnit](options);
+
+            Object.entries(OVERLAY_SECTORS).forEach(([direction, middle]) => {
+                const width = direction.length === 2 ? options.diagonalWidth : 90 - options.diagonalWidth;
+
+                context.beginPath();
+                context.moveTo(originX, originY);
+                context.arc(originX, originY, OVERLAY_RADIUS, (middle - width / 2) * (Math.PI / 180), (middle + width / 2) * (Math.PI / 180));
+                context.closePath();
+                context.fillStyle = direction === detail.cardinal8 ? "rgba(30, 136, 229, 0.4)"
+                                  : direction.length === 2         ? "rgba(0, 0, 0, 0.05)"
+                                  : "rgba(0, 0, 0, 0.1)";
+                context.fill();
+            });
+
+            context.beginPath();
+            pointer.path.forEach((position, i) => i === 0 ? context.moveTo(position.x, position.y) : context.lineTo(position.x, position.y));
+            context.lineWidth   = 2;
+            context.strokeStyle = "#1e88e5";
+            context.stroke();
+
+            context.beginPath();
+            context.arc(originX, originY, 4, 0, 2 * Math.PI);
+            context.fillStyle = "#1e88e5";
+            context.fill();
+
+            drawArrow(context, originX, originY, currentX, currentY, "#43a047");
+            drawArrow(context, currentX, currentY,
+                currentX + detail.velocityX / speedScale * OVERLAY_LOOKAHEAD,
+                currentY + detail.velocityY / speedScale * OVERLAY_LOOKAHEAD, "#e53935");
+
+            context.font      = "12px monospace";
+            context.fillStyle = "black";
+            context.fillText(`${detail.cardinal8 || "-"} ${Math.round(detail.totalDistance)}px ${Math.hypot(detail.velocityX, detail.velocityY).toFixed(2)} ${options.speedUnit}`,
+                currentX + 12, currentY - 12);
+        }
+
+        function drawArrow(context, fromX, fromY, toX, toY, color) {
+            const angle = Math.atan2(toY - fromY, toX - fromX);
+
+            context.beginPath();
+            context.moveTo(fromX, fromY);
+            context.lineTo(toX, toY);
+
+            if (toX !== fromX || toY !== fromY) {
+                context.moveTo(toX - 8 * Math.cos(angle - Math.PI / 6), toY - 8 * Math.sin(angle - Math.PI / 6));
+                context.lineTo(toX, toY);
+                context.lineTo(toX - 8 * Math.cos(angle + Math.PI / 6), toY - 8 * Math.sin(angle + Math.PI / 6));
+            }
+
+            context.lineWidth   = 2;
+            context.strokeStyle = color;
+            context.stroke();
         }
+
+        return {
+            /**
+             * Determine whether event logging is currently enabled. Useful for chaining your own logging to this value.
+             * @since 1.0
+             * @memberof SwipeEvents
+             * @returns {boolean} <code>true</code> if logging is enabled, <code>false</code> if it's disabled
+             * @example
+             * document.addEventListener("swipe", e => {
+             *     if (SwipeEvents.telemetryLoggingEnabled()) {
+             *         console.log("I will log also");
+             *     }
+             * })
+             */
+            telemetryLoggingEnabled: function() {
+                return loggingSink !== null;
+            },
+
+            /**
+             * Turn on/off console event logging (debug level). This is generally intended to be run from the console, while debugging.
+             * It adds or removes a <code>SwipeEvents.consoleSink()</code> for every event.
+             * @since 1.0
+             * @memberof SwipeEvents
+             * @returns {boolean} <code>true</code> if logging is enabled as a result of this operation, <code>false</code> if it's disabled
+             * @example
+             * SwipeEvents.toggleTelemetryLogging()
+             */
+            toggleTelemetryLogging: function() {
+                if (loggingSink) {
+                    loggingSink();
+                    loggingSink = null;
+                }
+                else {
+                    loggingSink = registerSink(logRecord, {level: "event"});
+                }
+                return loggingSink !== null;
+            },
+
+            /**
+             * Draw every touch on a canvas over the page, for diagnosing gestures on a device: its path, its origin and the
+             * vector from it, the <code>cardinal8</code> sectors around the origin with the current one filled in, an arrow
+             * for its velocity, and the gestures recognized from it. The canvas doesn't intercept input. Like
+             * <code>SwipeEvents.toggleTelemetryLogging()</code>, this is generally intended to be run from the console.
+             * @since 1.2
+             * @memberof SwipeEvents
+             * @throws {Error} if the instance has been destroyed
+             * @example
+             * SwipeEvents.showOverlay()
+             */
+            showOverlay: function() {
+                assertNotDestroyed("SwipeEvents.showOverlay");
+
+                if (!overlay) {
+                    overlay = createOverlay();
+                }
+            },
+
+            /**
+             * Remove the debug overlay, if it's shown.
+             * @since 1.2
+             * @memberof SwipeEvents
+             * @example
+             * SwipeEvents.hideOverlay()
+             */
+            hideOverlay: function() {
+                removeOverlay();
+            },
+
+            /**
+             * Track swipes that start inside an element. Its <code>swipe</code> events are dispatched on the element and bubble,
+             * so a listener on <code>document</code> still sees them (check <code>e.target</code>); touches claimed by an attached
+             * element are not reported a second time by <code>document</code> or by enclosing attached elements.
+             * @since 1.2
+             * @memberof SwipeEvents
+             * @param {!EventTarget} element the element in which swipes start
+             * @param {Object=}      options overrides, for this element only, of any option accepted by
+             *                               <code>SwipeEvents.configure()</code> except <code>banner</code>
+             * @returns {{element: EventTarget, detach: function(): void}} a handle whose <code>detach()</code> stops tracking the element
+             * @example
+             * const carousel = document.getElementById("carousel");
+             * const handle   = SwipeEvents.attach(carousel);
+             *
+             * carousel.addEventListener("swipe", e => console.log(e.detail.elementCurrentX));
+             *
+             * handle.detach();
+             */
+            attach: function(element, options) {
+                if (!element || typeof element.addEventListener !== "function") {
+                    throw new TypeError("SwipeEvents.attach: element must be an EventTarget");
+                }
+                validateOptions(options || {}, "SwipeEvents.attach", false);
+                assertNotDestroyed("SwipeEvents.attach");
+
+                let tracker = createTracker(element, Object.assign({}, options));
+
+                return {
+                    element: element,
+                    detach: () => {
+                        if (tracker) {
+                            removeTracker(tracker);
+                            tracker = null;
+                        }
+                    }
+                };
+            },
+
+            /**
+             * Change how swipes are tracked and reported. Options not given keep their current values. Changes apply to the
+             * next gesture (listener changes, to the next input event), on <code>document</code> and on every attached element
+             * that doesn't override the same option.
+             * @since 1.2
+             * @memberof SwipeEvents
+             * @param {!Object}  options                   the options to change
+             * @param {string=}  options.eventName         name of the telemetry event (default <code>"swipe"</code>)
+             * @param {?EventTarget=} options.target       where events are dispatched; <code>null</code> dispatches on the tracked
+             *                                             element, or on <code>document</code> (default <code>null</code>)
+             * @param {boolean=} options.bubbles           whether events from attached elements bubble (default <code>true</code>)
+             * @param {boolean=} options.passive           whether input listeners are registered as passive; <code>false</code> lets
+             *                                             your own listeners call <code>preventDefault()</code> (default <code>true</code>)
+             * @param {string=}  options.input             which input events to track: <code>"touch"</code> for Touch Events only,
+             *                                             <code>"pointer"</code> for Pointer Events only (touch, mouse, and pen), or
+             *                                             <code>"auto"</code> for Touch Events plus mouse and pen Pointer Events (default <code>"auto"</code>)
+             * @param {number=}  options.diagonalWidth     width in degrees of each diagonal sector of <code>cardinal8</code>, from 0 (never
+             *                                             diagonal) to 90 (always diagonal) (default 45, i.e. 22.5&deg; to 67.5&deg;)
+             * @param {number=}  options.minDistance       distance in pixels a touch must travel before <code>cardinal4</code>,
+             *                                             <code>cardinal8</code>, and <code>theta</code> are reported (default 0)
+             * @param {string=}  options.directionFrame    the frame <code>cardinal4</code>, <code>cardinal8</code>, <code>theta</code>, and
+             *                                             <code>segments</code> are measured in: <code>"screen"</code>, or <code>"element"</code>
+             *                                             for the tracked element's own axes, turned and skewed with its CSS transform
+             *                                             (default <code>"screen"</code>)
+             * @param {string=}  options.speedUnit         unit of the speeds and velocities in the detail: <code>"px/ms"</code>,
+             *                                             <code>"px/s"</code>, or <code>"mm/s"</code> (default <code>"px/ms"</code>)
+             * @param {number=}  options.dpi               pixels per inch assumed when converting to <code>"mm/s"</code> (default 96, the
+             *                                             size of a CSS pixel)
+             * @param {string=}  options.delivery          when move events are dispatched: <code>"event"</code>, on every input event,
+             *                                             or <code>"frame"</code>, at most once per animation frame, reporting every move
+             *                                             since the last one (see <code>coalescedCount</code>); start, end, and cancel
+             *                                             events are never delayed; where there's no <code>requestAnimationFrame</code>,
+             *                                             <code>"frame"</code> acts like <code>"event"</code> (default <code>"event"</code>)
+             * @param {boolean=} options.reuseDetail       dispatch the same <code>swipe</code> event and detail object for every event
+             *                                             of a touch, updated in place, instead of new ones; keep a copy of a detail
+             *                                             to keep its values (default <code>false</code>)
+             * @param {?Array<string>=} options.fields     the detail fields you read, to skip the costly ones you don't: the
+             *                                             <code>local</code> and <code>normalizedDistance</code> fields, and <code>segments</code>
+             *                                             while the touch is ongoing, are only computed if listed, and are null otherwise.
+             *                                             Every other field is cheap, or needed for gesture recognition, and is always
+             *                                             computed. <code>null</code> computes every field (default <code>null</code>)
+             * @param {number=}  options.gestureMinScore  how closely, from 0 to 1, a stroke must match a gesture template for a
+             *                                             <code>gesture</code> event to fire (default 0.8)
+             * @param {number=}  options.segmentAngle      degrees a touch's heading must turn to start a new entry in <code>segments</code>
+             *                                             (default 45)
+             * @param {number=}  options.segmentMinDistance distance in pixels over which a touch's heading is measured for
+             *                                             <code>segments</code>; shorter wiggles aren't turns (default 20)
+             * @param {?string=} options.axisLock         lock each touch to the axis it first moves along, and stop the page from scrolling
+             *                                             while it's tracked: <code>"x"</code> tracks horizontal swipes only, leaving vertical
+             *                                             ones to native scrolling (they end with a <code>swipecancel</code> event);
+             *                                             <code>"y"</code> is the reverse; <code>"auto"</code> tracks both; <code>null</code>
+             *                                             doesn't lock (default <code>null</code>). Input listeners aren't passive while on.
+             *                                             For Pointer Events input, also set CSS <code>touch-action</code>, which is what
+             *                                             stops scrolling there.
+             * @param {number=}  options.lockSlop          distance in pixels a touch must travel before its axis is locked (default 10)
+             * @param {number=}  options.velocityWindow    how many milliseconds of recent motion <code>velocityX</code>,
+             *                                             <code>velocityY</code>, and the release velocity are estimated from (default 100)
+             * @param {boolean=} options.banner            whether the console banner is printed when the page loads; set this before
+             *                                             <code>DOMContentLoaded</code> (default <code>true</code>)
+             * @param {number=}  options.swipeMinDistance  minimum distance in pixels for a <code>swipeleft</code>/<code>right</code>/<code>up</code>/<code>down</code> (default 30)
+             * @param {number=}  options.swipeMinVelocity  minimum <code>overallSpeed</code> in pixels per millisecond, whatever the <code>speedUnit</code>, for a directional swipe (default 0.3)
+             * @param {number=}  options.swipeMaxDuration  maximum duration in milliseconds for a directional swipe (default 1000)
+             * @param {number=}  options.tapSlop           maximum distance in pixels a touch can wander and still be a <code>tap</code> or <code>longpress</code> (default 10)
+             * @param {number=}  options.tapMaxDuration    maximum duration in milliseconds for a <code>tap</code> (default 250)
+             * @param {number=}  options.doubleTapInterval maximum time in milliseconds between the taps of a <code>doubletap</code> (default 300)
+             * @param {number=}  options.doubleTapSlop     maximum distance in pixels between the taps of a <code>doubletap</code> (default 30)
+             * @param {number=}  options.longPressDelay    time in milliseconds a touch must be held in place for a <code>longpress</code> (default 500)
+             * @param {(number|Object)=} options.edgeWidth how far in pixels from an edge a touch can start and still be from that edge,
+             *                                             for <code>fromEdge</code> and <code>edgeswipe</code>: one width for every edge, or
+             *                                             an object of widths by edge, like <code>{left: 30, bottom: 20}</code>, where
+             *                                             edges left out aren't detected (default 20)
+             * @param {boolean=} options.edgeSafeArea      whether the viewport's edges are widened by the CSS <code>env(safe-area-inset-*)</code>
+             *                                             on their side, past a notch or a home indicator (default <code>true</code>)
+             * @param {number=}  options.edgeSwipeDistance distance in pixels a touch from an edge must travel inward, away from it, for an
+             *                                             <code>edgeswipe</code> (default 30)
+             * @returns {Object} the resulting configuration, as from <code>SwipeEvents.getConfig()</code>
+             * @throws {TypeError} if an option is unknown or its value is invalid; no options are changed in that case
+             * @example
+             * SwipeEvents.configure({
+             *     eventName:     "drag",
+             *     passive:       false,
+             *     diagonalWidth: 30,
+             *     banner:        false
+             * })
+             */
+            configure: function(options) {
+                validateOptions(options, "SwipeEvents.configure", true);
+
+                Object.assign(config, options);
+                trackers.forEach(refreshTracker);
+
+                return Object.assign({}, config);
+            },
+
+            /**
+             * Get the current configuration. Changing the returned object has no effect; use <code>SwipeEvents.configure()</code>.
+             * @since 1.2
+             * @memberof SwipeEvents
+             * @returns {Object} a copy of every option accepted by <code>SwipeEvents.configure()</code>, with its current value
+             * @example
+             * if (SwipeEvents.getConfig().passive) {
+             *     SwipeEvents.configure({passive: false});
+             * }
+             */
+            getConfig: function() {
+                return Object.assign({}, config);
+            },
+
+            /**
+             * Start recording every touch and pointer sample that is tracked, on <code>document</code> and on attached elements,
+             * until <code>SwipeEvents.stopRecording()</code>. Starting again discards the recording in progress.
+             * @since 1.2
+             * @memberof SwipeEvents
+             * @example
+             * SwipeEvents.startRecording();
+             * // ...reproduce the bug...
+             * const recording = SwipeEvents.stopRecording();
+             * localStorage.setItem("bug-1234", JSON.stringify(recording));
+             */
+            startRecording: function() {
+                recording = {startTime: now(), frames: []};
+            },
+
+            /**
+             * Stop recording. The recording is plain JSON-serializable data, versioned so it can be kept as a test fixture:
+             * <code>{format, version, recordedAt, viewport: {width, height}, frames}</code>, where each frame is one input event:
+             * <code>{time, type, phase, samples}</code>. <code>time</code> is milliseconds since recording started,
+             * <code>type</code> is the input event type, <code>phase</code> is start &vert; move &vert; end &vert; cancel, and
+             * each sample is <code>{identifier, clientX, clientY, pointerType, pressure, tiltX, tiltY}</code>. Samples of
+             * pointer moves also have <code>coalesced</code>, the earlier positions the browser coalesced into the event, each
+             * <code>{clientX, clientY, offset}</code> with <code>offset</code> the milliseconds before <code>time</code> it
+             * was at, and <code>predicted</code>, the <code>{clientX, clientY}</code> the browser predicted, where it reported
+             * them.
+             * @since 1.2
+             * @memberof SwipeEvents
+             * @returns {?Object} the recording, or <code>null</code> if nothing was being recorded
+             * @example
+             * const recording = SwipeEvents.stopRecording();
+             * console.log(`${recording.frames.length} frames`);
+             */
+            stopRecording: function() {
+                if (!recording) {
+                    return null;
+                }
+
+                const result = {
+                    format:     RECORDING_FORMAT,
+                    version:    RECORDING_VERSION,
+                    recordedAt: new Date(recording.startTime).toISOString(),
+                    viewport:   {width: window.innerWidth, height: window.innerHeight},
+                    frames:     recording.frames
+                };
+
+                recording = null;
+                return result;
+            },
+
+            /**
+             * Play a recording back through the same listeners that handle real input, so <code>swipe</code> listeners (and
+             * gesture listeners) receive the telemetry they received when it was recorded. Timestamps in the telemetry follow
+             * the recording, so durations and speeds match the original whatever the playback <code>speed</code>. Each touch
+             * is dispatched on the element under its starting point, as a plain <code>Event</code> carrying the recorded fields.
+             * @since 1.2
+             * @memberof SwipeEvents
+             * @param {!Object}       recording       a recording from <code>SwipeEvents.stopRecording()</code>, or parsed from its JSON
+             * @param {Object=}       options         playback options
+             * @param {number=}       options.speed   playback rate; 2 plays twice as fast (default 1)
+             * @param {EventTarget=}  options.target  dispatch every touch on this element instead of the one under its starting point
+             * @returns {Promise<void>} resolves once the last frame has been replayed, or rejects if replaying a frame fails
+             * @throws {TypeError} if the recording isn't a recording, is from an unsupported version, has a malformed frame,
+             *                     or <code>speed</code> isn't positive
+             * @example
+             * const recording = await fetch("fixtures/bug-1234.json").then(response => response.json());
+             * await SwipeEvents.replay(recording, {speed: 4});
+             */
+            replay: function(recording, options) {
+                const speed  = (options && options.speed !== undefined) ? options.speed : 1;
+                const target = (options && options.target) || null;
+
+                validateRecording(recording);
+                if (!isNumberBetween(speed, Number.MIN_VALUE, Infinity)) {
+                    throw new TypeError(`SwipeEvents.replay: speed must be a positive number, but was ${describeValue(speed)}`);
+                }
+
+                const startTime = now();
+                const targets   = new Map();
+
+                return recording.frames.reduce(
+                    (previous, frame) => previous.then(() => new Promise((resolve, reject) => {
+                        setTimeout(() => {
+                            try {
+                                replayFrame(frame, startTime, targets, target);
+                                resolve();
+                            }
+                            catch (error) {
+                                reject(error);
+                            }
+                        }, Math.max(0, startTime + frame.time / speed - Date.now()));
+                    })),
+                    Promise.resolve()
+                );
+            },
+
+            /**
+             * Synthesize a one-finger gesture and run it through the same listeners that handle real input, with a virtual
+             * clock: the telemetry's timestamps advance by <code>duration</code> while the gesture runs synchronously, so
+             * every listener has run by the time this returns. Works without a touchscreen, and in Node under jsdom.
+             * @since 1.2
+             * @memberof SwipeEvents
+             * @param {!Object}          gesture              the gesture to simulate
+             * @param {!{x: number, y: number}} gesture.from  starting point, in viewport (client) coordinates
+             * @param {!{x: number, y: number}} gesture.to    ending point, in viewport (client) coordinates
+             * @param {number=}          gesture.duration     milliseconds from start to end (default 300)
+             * @param {number=}          gesture.steps        number of move events between start and end (default 10)
+             * @param {(string|function(number): number)=} gesture.easing progress along the path over time:
+             *                                                <code>"linear"</code>, <code>"ease-in"</code>, <code>"ease-out"</code>,
+             *                                                <code>"ease-in-out"</code>, or a function from 0&ndash;1 to 0&ndash;1 (default <code>"linear"</code>)
+             * @param {string=}          gesture.pointerType  <code>"touch"</code> simulates Touch Events; <code>"mouse"</code> or
+             *                                                <code>"pen"</code> simulates Pointer Events (default <code>"touch"</code>)
+             * @param {EventTarget=}     gesture.target       where the input events are dispatched (default the element under
+             *                                                <code>from</code>, or <code>document</code> where that can't be determined)
+             * @param {number=}          gesture.startTime    virtual timestamp of the first event, in milliseconds since Unix epoch (default now)
+             * @throws {TypeError} if the gesture is missing a point or has an invalid option
+             * @example
+             * // in a jsdom test
+             * const events = [];
+             * document.addEventListener("swipe", e => events.push(e.detail));
+             *
+             * SwipeEvents.simulate({from: {x: 0, y: 0}, to: {x: 300, y: 400}, duration: 250, startTime: 0});
+             *
+             * assert.equal(events.at(-1).totalDistance, 500);
+             * assert.equal(events.at(-1).overallSpeed, 2);
+             */
+            simulate: function(gesture) {
+                validateGesture(gesture);
+
+                const duration    = gesture.duration !== undefined ? gesture.duration : 300;
+                const steps       = gesture.steps || 10;
+                const ease        = typeof gesture.easing === "function" ? gesture.easing : EASINGS[gesture.easing || "linear"];
+                const pointerType = gesture.pointerType || "touch";
+                const types       = SIMULATED_EVENT_TYPES[pointerType === "touch" ? "touch" : "pointer"];
+                const startTime   = gesture.startTime !== undefined ? gesture.startTime : now();
+
+                const frame = (phase, progress) => {
+                    const eased = ease(progress);
+                    return {
+                        time:    duration * progress,
+                        type:    types[phase],
+                        phase:   phase,
+                        samples: [{
+                            identifier:  1,
+                            clientX:     gesture.from.x + (gesture.to.x - gesture.from.x) * eased,
+                            clientY:     gesture.from.y + (gesture.to.y - gesture.from.y) * eased,
+                            pointerType: pointerType,
+                            pressure:    pointerType === "touch" ? 0 : 0.5,
+                            tiltX:       0,
+                            tiltY:       0
+                        }]
+                    };
+                };
+
+                const frames = [frame("start", 0)];
+                for (let step = 1; step <= steps; step++) {
+                    frames.push(frame("move", step / steps));
+                }
+                frames.push(frame("end", 1));
+
+                const targets = new Map();
+                frames.forEach(simulated => replayFrame(simulated, startTime, targets, gesture.target || null));
+            },
+
+            /**
+             * Make an element follow the finger (or mouse) that drags it, then, on release, animate it to the nearest snap
+             * point or, past a threshold, off-screen. The element's inline <code>transform</code>, <code>transition</code>,
+             * and <code>touch-action</code> are managed by the controller. Animations are skipped when the user prefers reduced
+             * motion. The element receives <code>dragstart</code> on its first movement, <code>dragend</code> on release, and
+             * <code>dismiss</code> once it has left the screen; each is a bubbling <code>CustomEvent</code> whose detail is
+             * <code>{x, y, dismissed, swipe}</code>: the element's translation, whether it is being dismissed, and the
+             * <code>swipe</code> detail that triggered the event.
+             * @since 1.2
+             * @memberof SwipeEvents
+             * @param {!Element} element                  the element to drag
+             * @param {Object=}  options                  drag options
+             * @param {string=}  options.axis             <code>"x"</code>, <code>"y"</code>, or <code>"both"</code>; the other axis is
+             *                                            left to native scrolling, and a drag along it snaps back (default <code>"both"</code>)
+             * @param {Object=}  options.bounds           limits on the translation while dragging, in pixels:
+             *                                            <code>{left, right, top, bottom}</code>, any of which may be omitted
+             * @param {?number=} options.dismissThreshold translation in pixels along either axis past which release dismisses the element;
+             *                                            <code>null</code> never dismisses (default <code>null</code>)
+             * @param {number=}  options.dismissVelocity  release velocity in pixels per millisecond that dismisses the element however far
+             *                                            it was dragged, when <code>dismissThreshold</code> is set (default 1)
+             * @param {Array<{x: number, y: number}>=} options.snapPoints translations the element may come to rest at; the nearest to
+             *                                            where the release velocity would carry it is chosen (default <code>[{x: 0, y: 0}]</code>)
+             * @returns {{element: Element, position: function(): {x: number, y: number}, reset: function(): void, detach: function(): void}}
+             *          a controller; <code>position()</code> is the current translation, <code>reset()</code> moves the element back
+             *          to <code>{x: 0, y: 0}</code>, and <code>detach()</code> stops dragging, leaving the element where it is
+             * @throws {TypeError} if the element isn't an element, or an option is invalid
+             * @example
+             * const card = document.getElementById("card");
+             *
+             * SwipeEvents.draggable(card, {axis: "x", dismissThreshold: card.offsetWidth / 2});
+             *
+             * card.addEventListener("dismiss", () => card.remove());
+             */
+            draggable: function(element, options) {
+                if (!element || !element.style || typeof element.addEventListener !== "function") {
+                    throw new TypeError("SwipeEvents.draggable: element must be an Element");
+                }
+                validateDraggableOptions(options || {});
+                assertNotDestroyed("SwipeEvents.draggable");
+
+                const drag = createDraggable(element, Object.assign({}, options));
+
+                return {
+                    element:  element,
+                    position: () => Object.assign({}, drag.position),
+                    reset:    () => {
+                        drag.position = {x: 0, y: 0};
+                        moveElement(element, drag.position, SNAP_DURATION);
+                    },
+                    detach:   () => removeTracker(drag.tracker)
+                };
+            },
+
+            /**
+             * Teach the shape recognizer a new gesture. The points are one stroke in screen coordinates, in the order it is
+             * drawn; only its shape matters, not its size or where it is. Adding a template under a name already in use adds
+             * another way of drawing that gesture, which is how the built-in circle accepts both directions.
+             * @since 1.2
+             * @memberof SwipeEvents
+             * @param {string}                         name   the name reported by <code>gesture</code> events matching the stroke
+             * @param {!Array<{x: number, y: number}>} points the stroke, at least two points that aren't all the same
+             * @throws {TypeError} if the name is empty, or the points don't make a stroke
+             * @example
+             * // a triangle, drawn clockwise from its top
+             * SwipeEvents.addGestureTemplate("triangle", [{x: 50, y: 0}, {x: 100, y: 87}, {x: 0, y: 87}, {x: 50, y: 0}]);
+             *
+             * document.addEventListener("gesture", e => {
+             *     if (e.detail.name === "triangle") {
+             *         openMenu();
+             *     }
+             * });
+             */
+            addGestureTemplate: function(name, points) {
+                if (typeof name !== "string" || name === "") {
+                    throw new TypeError(`SwipeEvents.addGestureTemplate: name must be a non-empty string, but was ${describeValue(name)}`);
+                }
+                if (!Array.isArray(points) || points.length < 2 || !points.every(point => point && Number.isFinite(point.x) && Number.isFinite(point.y))) {
+                    throw new TypeError("SwipeEvents.addGestureTemplate: points must be an array of at least two points, like {x: 10, y: 20}");
+                }
+                if (pathLength(points) === 0) {
+                    throw new TypeError("SwipeEvents.addGestureTemplate: points must not all be the same point");
+                }
+
+                gestureTemplates.push({name: name, points: normalizeStroke(points)});
+            },
+
+            /**
+             * Call a handler whenever a completed single-touch swipe is made of exactly the given sequence of direction
+             * segments (see <code>segments</code> in the event detail). Directions are <code>N</code>, <code>S</code>,
+             * <code>E</code>, <code>W</code>, <code>NE</code>, <code>NW</code>, <code>SE</code>, and <code>SW</code>; the four
+             * main ones also match segments that lean toward a diagonal. Patterns apply to every tracked element.
+             * @since 1.2
+             * @memberof SwipeEvents
+             * @param {!Array<string>}         pattern the directions, in order
+             * @param {function(Object): void} handler called with the <code>swipe</code> detail of the final event of the
+             *                                         matching swipe
+             * @returns {function(): void} a function that unregisters the handler
+             * @throws {TypeError} if the pattern is empty or has unknown directions, or the handler isn't a function
+             * @example
+             * // a hidden "admin" gesture: right, down, then left
+             * const unregister = SwipeEvents.onPattern(["E", "S", "W"], detail => showAdminPanel());
+             */
+            onPattern: function(pattern, handler) {
+                if (!Array.isArray(pattern) || pattern.length === 0 || !pattern.every(direction => CARDINAL_DIRECTIONS.includes(direction))) {
+                    throw new TypeError(`SwipeEvents.onPattern: pattern must be a non-empty array of "${CARDINAL_DIRECTIONS.join("\", \"")}", but was ${describeValue(pattern)}`);
+                }
+                if (typeof handler !== "function") {
+                    throw new TypeError(`SwipeEvents.onPattern: handler must be a function, but was ${describeValue(handler)}`);
+                }
+
+                const registration = {directions: pattern.slice(), handler: handler};
+
+                patterns.add(registration);
+
+                return () => {
+                    patterns.delete(registration);
+                };
+            },
+
+            /**
+             * Send telemetry somewhere: a sink is a function that receives a plain, serializable record, either of every
+             * <code>swipe</code> event or of every completed gesture. Event records are the event detail without the live
+             * <code>event</code>, plus <code>type</code> (<code>"event"</code>), <code>phase</code> (<code>"start"</code>,
+             * <code>"move"</code>, <code>"end"</code>, or <code>"cancel"</code>), and <code>eventType</code>, the type of the
+             * input event. Gesture records are sent once a touch ends: the gesture summary structure of <code>swipeend</code>,
+             * plus <code>type</code> (<code>"gesture"</code>). The built-in sinks come from <code>SwipeEvents.consoleSink()</code>,
+             * <code>SwipeEvents.memorySink()</code>, and <code>SwipeEvents.batchSink()</code>.
+             * @since 1.2
+             * @memberof SwipeEvents
+             * @param {function(Object): void} sink               receives each record
+             * @param {Object=}                options            what to send
+             * @param {string=}                options.level      <code>"event"</code> or <code>"gesture"</code> (default <code>"gesture"</code>)
+             * @param {number=}                options.sampleRate fraction of gestures, from 0 to 1, to send; a gesture is sent whole
+             *                                                    or not at all (default 1)
+             * @param {Array<string>=}         options.phases     the phases to send; for gestures, how they ended (default all)
+             * @returns {function(): void} a function that removes the sink
+             * @throws {TypeError} if the sink isn't a function, or an option is invalid
+             * @example
+             * const gestures = SwipeEvents.batchSink(records => navigator.sendBeacon("/analytics/gestures", JSON.stringify(records)));
+             *
+             * SwipeEvents.addSink(gestures, {sampleRate: 0.1});
+             * document.addEventListener("visibilitychange", () => gestures.flush());
+             */
+            addSink: function(sink, options) {
+                if (typeof sink !== "function") {
+                    throw new TypeError(`SwipeEvents.addSink: sink must be a function, but was ${describeValue(sink)}`);
+                }
+                validateSinkOptions(options || {});
+
+                return registerSink(sink, options);
+            },
+
+            /**
+             * A sink that pretty-prints records to the console (debug level), as <code>SwipeEvents.toggleTelemetryLogging()</code> does.
+             * @since 1.2
+             * @memberof SwipeEvents
+             * @returns {function(Object): void} the sink, for <code>SwipeEvents.addSink()</code>
+             * @example
+             * SwipeEvents.addSink(SwipeEvents.consoleSink(), {level: "event", phases: ["end"]});
+             */
+            consoleSink: function() {
+                return logRecord;
+            },
+
+            /**
+             * A sink that keeps the latest records in memory, dropping the oldest once it's full. Read them back with
+             * <code>records()</code>, or pick some out with <code>query(filter)</code>, where the filter is a function of the
+             * record or an object of field values to match, like <code>{cardinal4: "E"}</code>; both return the oldest first.
+             * <code>clear()</code> empties it.
+             * @since 1.2
+             * @memberof SwipeEvents
+             * @param {number=} capacity how many records to keep (default 1000)
+             * @returns {function(Object): void} the sink, with <code>records()</code>, <code>query(filter)</code>, and <code>clear()</code>
+             * @throws {TypeError} if the capacity isn't a positive integer
+             * @example
+             * const recent = SwipeEvents.memorySink(100);
+             * SwipeEvents.addSink(recent);
+             *
+             * const flings = recent.query(record => record.releaseVelocity > 2);
+             */
+            memorySink: function(capacity) {
+                const size = capacity !== undefined ? capacity : 1000;
+
+                if (!(Number.isInteger(size) && size > 0)) {
+                    throw new TypeError(`SwipeEvents.memorySink: capacity must be a positive integer, but was ${describeValue(capacity)}`);
+                }
+
+                let buffer = [];
+                let next   = 0; // where the next record goes once the buffer is full
+
+                const sink = record => {
+                    if (buffer.length < size) {
+                        buffer.push(record);
+                    }
+                    else {
+                        buffer[next] = record;
+                        next = (next + 1) % size;
+                    }
+                };
+
+                sink.records = () => buffer.slice(next).concat(buffer.slice(0, next));
+                sink.query   = filter => sink.records().filter(typeof filter === "function"
+                    ? filter
+                    : record => Object.entries(filter).every(([name, value]) => record[name] === value));
+                sink.clear   = () => {
+                    buffer = [];
+                    next   = 0;
+                };
+
+                return sink;
+            },
+
+            /**
+             * A sink that collects records and hands them to a callback in batches: once <code>size</code> records are
+             * waiting, or <code>interval</code> milliseconds after the first of them arrived, whichever is sooner. Call
+             * <code>flush()</code> to send what's waiting right away, say when the page is hidden.
+             * @since 1.2
+             * @memberof SwipeEvents
+             * @param {function(Array<Object>): void} callback         receives each batch, oldest record first
+             * @param {Object=}                       options          batching options
+             * @param {number=}                       options.size     most records per batch (default 50)
+             * @param {number=}                       options.interval most milliseconds a record waits (default 5000)
+             * @returns {function(Object): void} the sink, with <code>flush()</code>
+             * @throws {TypeError} if the callback isn't a function, or an option is invalid
+             * @example
+             * SwipeEvents.addSink(SwipeEvents.batchSink(records => analytics.track("gestures", records), {size: 20}));
+             */
+            batchSink: function(callback, options) {
+                const size     = (options && options.size !== undefined) ? options.size : 50;
+                const interval = (options && options.interval !== undefined) ? options.interval : 5000;
+
+                if (typeof callback !== "function") {
+                    throw new TypeError(`SwipeEvents.batchSink: callback must be a function, but was ${describeValue(callback)}`);
+                }
+                if (!(Number.isInteger(size) && size > 0)) {
+                    throw new TypeError(`SwipeEvents.batchSink: size must be a positive integer, but was ${describeValue(size)}`);
+                }
+                if (!isNumberBetween(interval, 0, Infinity)) {
+                    throw new TypeError(`SwipeEvents.batchSink: interval must be a non-negative number, but was ${describeValue(interval)}`);
+                }
+
+                let batch = [];
+                let timer = null;
+
+                const sink = record => {
+                    batch.push(record);
+
+                    if (batch.length >= size) {
+                        sink.flush();
+                    }
+                    else if (timer === null) {
+                        timer = setTimeout(sink.flush, interval);
+                    }
+                };
+
+                sink.flush = () => {
+                    clearTimeout(timer);
+                    timer = null;
+
+                    if (batch.length > 0) {
+                        const records = batch;
+                        batch = [];
+                        callback(records);
+                    }
+                };
+
+                return sink;
+            },
+
+            /**
+             * Determine whether swipes are being tracked.
+             * @since 1.2
+             * @memberof SwipeEvents
+             * @returns {boolean} false after <code>SwipeEvents.disable()</code> or <code>SwipeEvents.destroy()</code>
+             */
+            isEnabled: function() {
+                return enabled;
+            },
+
+            /**
+             * Resume tracking after <code>SwipeEvents.disable()</code>, on <code>document</code> and on every attached and
+             * draggable element. Touches that started while tracking was disabled aren't picked up.
+             * @since 1.2
+             * @memberof SwipeEvents
+             * @throws {Error} if the instance has been destroyed
+             */
+            enable: function() {
+                assertNotDestroyed("SwipeEvents.enable");
+
+                enabled = true;
+                trackers.forEach(refreshTracker);
+            },
+
+            /**
+             * Pause tracking, say while a modal or a map has the page's touches to itself. Every input listener is removed
+             * until <code>SwipeEvents.enable()</code>; configuration, attached elements, and gesture patterns are kept.
+             * Touches in progress are dropped without a terminal <code>swipe</code> event.
+             * @since 1.2
+             * @memberof SwipeEvents
+             * @example
+             * dialog.addEventListener("toggle", () => dialog.open ? SwipeEvents.disable() : SwipeEvents.enable());
+             */
+            disable: function() {
+                disableTracking();
+            },
+
+            /**
+             * Tear the instance down: every listener it added is removed, attached and draggable elements are let go
+             * (draggable elements stay where they are), and recording stops. A destroyed instance can't be enabled again.
+             * @since 1.2
+             * @memberof SwipeEvents
+             * @example
+             * afterEach(() => swipeEvents.destroy());
+             */
+            destroy: function() {
+                disableTracking();
+                removeOverlay();
+                trackers.forEach(removeTracker);
+                window.removeEventListener("DOMContentLoaded", showBanner);
+
+                patterns.clear();
+                sinks.clear();
+                loggingSink = null;
+                recording   = null;
+                destroyed   = true;
+
+                if (safeAreaProbe) {
+                    safeAreaProbe.remove();
+                    safeAreaProbe = null;
+                }
+            },
+
+            /**
+             * Create another instance, with its own configuration, attached elements, and touches in progress, as if from
+             * <code>createSwipeEvents()</code>. It tracks <code>document</code> too, so give it a different
+             * <code>eventName</code> or <code>target</code>, or disable the instances you aren't using.
+             * @since 1.2
+             * @memberof SwipeEvents
+             * @param {Object=} options the initial configuration, as for <code>SwipeEvents.configure()</code>
+             * @returns {Object} the new instance
+             * @throws {TypeError} if an option is unknown or its value is invalid
+             * @example
+             * const editorSwipes = SwipeEvents.create({eventName: "editorswipe", banner: false});
+             * editorSwipes.attach(document.getElementById("editor"));
+             */
+            create: function(options) {
+                return createSwipeEvents(options);
+            }
+        };
     }
+
+    return createSwipeEvents();
 })();
\ No newline at end of file
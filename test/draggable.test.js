@@ -0,0 +1,123 @@
+const test     = require("node:test");
+const assert   = require("node:assert");
+const {createPage} = require("./setup.js");
+
+// a page with the panel made draggable, and every drag event it dispatches
+function dragPage(options, pageOptions) {
+    const page   = createPage(pageOptions);
+    const panel  = page.document.getElementById("panel");
+    const events = page.collect("dragstart", "dragend", "dismiss");
+
+    return Object.assign(page, {panel: panel, events: events, drag: page.swipeEvents.draggable(panel, options)});
+}
+
+// a drag of the panel from (400, 300), over the given distance and duration, on a fixed clock
+function drag(page, by, duration) {
+    page.swipeEvents.simulate({
+        from:      {x: 400, y: 300},
+        to:        {x: 400 + by.x, y: 300 + by.y},
+        duration:  duration,
+        steps:     10,
+        startTime: 1000,
+        target:    page.panel
+    });
+}
+
+function wait(page, milliseconds) {
+    return new Promise(resolve => page.window.setTimeout(resolve, milliseconds));
+}
+
+test("a drag moves the element with the touch, then snaps it back", () => {
+    const page = dragPage();
+
+    drag(page, {x: 60, y: -20}, 1000);
+
+    assert.deepStrictEqual(page.events.map(event => event.type), ["dragstart", "dragend"]);
+
+    const [start, end] = page.events;
+    assert.deepStrictEqual([start.x, start.y, start.dismissed], [0, 0, false]);
+    assert.strictEqual(start.swipe.ongoing, true);
+    assert.deepStrictEqual([end.x, end.y, end.dismissed], [0, 0, false]);
+    assert.strictEqual(end.swipe.ongoing, false);
+    assert.strictEqual(end.swipe.totalDistanceX, 60);
+
+    assert.strictEqual(page.panel.style.transform, "translate(0px, 0px)");
+    assert.strictEqual(page.panel.style.transition, "transform 200ms ease-out");
+    assert.strictEqual(page.panel.style.touchAction, "none");
+    assert.deepStrictEqual([page.drag.position().x, page.drag.position().y], [0, 0]);
+});
+
+test("the element snaps to the snap point nearest where its release velocity carries it", () => {
+    const snapPoints = [{x: 0, y: 0}, {x: -300, y: 0}];
+
+    const slow = dragPage({axis: "x", snapPoints: snapPoints});
+    drag(slow, {x: -100, y: 0}, 1000);
+
+    const fast = dragPage({axis: "x", snapPoints: snapPoints});
+    drag(fast, {x: -100, y: 0}, 100);
+
+    // both let go 100 pixels left; projected 150 ms on, the slow drag is nearer 0, the fast one nearer -300
+    assert.deepStrictEqual([slow.events[1].x, slow.events[1].dismissed], [0, false]);
+    assert.deepStrictEqual([fast.events[1].x, fast.events[1].dismissed], [-300, false]);
+    assert.strictEqual(fast.panel.style.transform, "translate(-300px, 0px)");
+    assert.deepStrictEqual([fast.drag.position().x, fast.drag.position().y], [-300, 0]);
+});
+
+test("a drag past dismissThreshold, or a fling, dismisses the element off-screen after dragend", async () => {
+    const page = dragPage({axis: "x", dismissThreshold: 100});
+
+    drag(page, {x: 150, y: 0}, 1000);
+
+    assert.deepStrictEqual(page.events.map(event => event.type), ["dragstart", "dragend"]);
+
+    const end = page.events[1];
+    assert.strictEqual(end.dismissed, true);
+    assert.strictEqual(end.x, 150 + page.window.innerWidth);
+    assert.strictEqual(page.panel.style.transform, `translate(${150 + page.window.innerWidth}px, 0px)`);
+    assert.strictEqual(page.panel.style.transition, "transform 250ms ease-out");
+
+    await wait(page, 300);
+    assert.deepStrictEqual(page.events.map(event => event.type), ["dragstart", "dragend", "dismiss"]);
+    assert.deepStrictEqual([page.events[2].x, page.events[2].dismissed], [end.x, true]);
+
+    const flung = dragPage({axis: "x", dismissThreshold: 100});
+    drag(flung, {x: -40, y: 0}, 20);
+
+    assert.strictEqual(flung.events[1].dismissed, true);
+    assert.strictEqual(flung.events[1].x, -40 - flung.window.innerWidth);
+});
+
+test("a drag short of dismissThreshold, and slower than dismissVelocity, snaps back", () => {
+    const page = dragPage({axis: "x", dismissThreshold: 100, dismissVelocity: 2});
+
+    drag(page, {x: -60, y: 0}, 50);
+
+    assert.deepStrictEqual([page.events[1].x, page.events[1].dismissed], [0, false]);
+});
+
+test("a drag along the other axis is handed over to scrolling, and the element snaps back", () => {
+    const page    = dragPage({axis: "x", dismissThreshold: 10});
+    const cancels = page.collect("swipecancel");
+
+    drag(page, {x: 0, y: 200}, 100);
+
+    assert.deepStrictEqual(page.events.map(event => event.type), ["dragstart", "dragend"]);
+    assert.deepStrictEqual([page.events[1].x, page.events[1].y, page.events[1].dismissed], [0, 0, false]);
+    assert.strictEqual(page.events[1].swipe.ongoing, false);
+    assert.strictEqual(cancels.length, 1);
+    assert.strictEqual(page.panel.style.transform, "translate(0px, 0px)");
+    assert.strictEqual(page.panel.style.touchAction, "pan-y");
+});
+
+test("with reduced motion, the element moves without animating and is dismissed right away", async () => {
+    const page = dragPage({dismissThreshold: 100});
+
+    page.window.matchMedia = query => ({matches: query === "(prefers-reduced-motion: reduce)"});
+    drag(page, {x: 0, y: 150}, 1000);
+
+    assert.strictEqual(page.events[1].dismissed, true);
+    assert.strictEqual(page.panel.style.transition, "");
+
+    await wait(page, 0);
+    assert.deepStrictEqual(page.events.map(event => event.type), ["dragstart", "dragend", "dismiss"]);
+});
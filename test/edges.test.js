@@ -0,0 +1,97 @@
+const test     = require("node:test");
+const assert   = require("node:assert");
+const {createPage} = require("./setup.js");
+
+// the fromEdge a touch starting here reports; jsdom's viewport is 1024 x 768
+function fromEdge(page, at, target) {
+    const details = page.collect("swipe");
+    page.swipeEvents.simulate({from: at, to: at, duration: 10, steps: 1, target: target});
+    return details[0].fromEdge;
+}
+
+// report these safe area insets, the way a notched phone does, from the probe the library measures them with
+function fakeSafeArea(page, insets) {
+    const getComputedStyle = page.window.getComputedStyle;
+
+    page.window.getComputedStyle = element => element.getAttribute("aria-hidden") === "true"
+        ? {paddingLeft: `${insets.left || 0}px`, paddingRight: `${insets.right || 0}px`, paddingTop: `${insets.top || 0}px`, paddingBottom: `${insets.bottom || 0}px`}
+        : getComputedStyle(element);
+}
+
+test("a touch that starts within edgeWidth of a viewport edge is from that edge, or in a corner, the nearer one", () => {
+    const page = createPage();
+
+    assert.strictEqual(fromEdge(page, {x: 10, y: 400}), "left");
+    assert.strictEqual(fromEdge(page, {x: 1014, y: 400}), "right");
+    assert.strictEqual(fromEdge(page, {x: 500, y: 5}), "top");
+    assert.strictEqual(fromEdge(page, {x: 500, y: 760}), "bottom");
+    assert.strictEqual(fromEdge(page, {x: 5, y: 15}), "left");
+    assert.strictEqual(fromEdge(page, {x: 15, y: 763}), "bottom");
+    assert.strictEqual(fromEdge(page, {x: 500, y: 400}), null);
+    assert.strictEqual(fromEdge(page, {x: 20, y: 400}), null);
+});
+
+test("an attached element's edges are its own", () => {
+    const page  = createPage();
+    const panel = page.document.getElementById("panel");
+
+    panel.getBoundingClientRect = () => ({left: 100, top: 100, right: 300, bottom: 200, width: 200, height: 100});
+    page.swipeEvents.attach(panel);
+
+    assert.strictEqual(fromEdge(page, {x: 110, y: 150}, panel), "left");
+    assert.strictEqual(fromEdge(page, {x: 200, y: 195}, panel), "bottom");
+    assert.strictEqual(fromEdge(page, {x: 200, y: 150}, panel), null);
+});
+
+test("an edgeWidth object detects only the edges it lists, each at its own width", () => {
+    const page = createPage({edgeWidth: {left: 40, bottom: 10}});
+
+    assert.strictEqual(fromEdge(page, {x: 30, y: 400}), "left");
+    assert.strictEqual(fromEdge(page, {x: 500, y: 755}), null);
+    assert.strictEqual(fromEdge(page, {x: 500, y: 760}), "bottom");
+    assert.strictEqual(fromEdge(page, {x: 1020, y: 400}), null);
+    assert.strictEqual(fromEdge(page, {x: 500, y: 2}), null);
+});
+
+test("viewport edges grow by their safe area inset, but an edge left out of edgeWidth stays undetected", () => {
+    const page = createPage();
+
+    fakeSafeArea(page, {left: 10, right: 30});
+    assert.strictEqual(fromEdge(page, {x: 25, y: 400}), "left");
+    assert.strictEqual(fromEdge(page, {x: 980, y: 400}), "right");
+    assert.strictEqual(fromEdge(page, {x: 970, y: 400}), null);
+
+    page.swipeEvents.configure({edgeWidth: {left: 20}});
+    assert.strictEqual(fromEdge(page, {x: 25, y: 400}), "left");
+    assert.strictEqual(fromEdge(page, {x: 1010, y: 400}), null);
+
+    page.swipeEvents.configure({edgeWidth: 20, edgeSafeArea: false});
+    assert.strictEqual(fromEdge(page, {x: 25, y: 400}), null);
+});
+
+test("edgeswipe fires once, on the first move edgeSwipeDistance inward from the edge", () => {
+    const page    = createPage();
+    const swipes  = page.collect("edgeswipe");
+    const details = page.collect("swipe");
+
+    page.swipeEvents.simulate({from: {x: 5, y: 400}, to: {x: 105, y: 400}, duration: 200, steps: 10});
+
+    assert.strictEqual(swipes.length, 1);
+    assert.strictEqual(swipes[0].fromEdge, "left");
+    assert.strictEqual(swipes[0].totalDistanceX, 30);
+    assert.strictEqual(details.findIndex(detail => detail.totalDistanceX >= 30), 3);
+    assert.strictEqual(swipes[0].eventTime, details[3].eventTime);
+});
+
+test("a touch from an edge that doesn't move inward far enough isn't an edgeswipe", () => {
+    const page   = createPage({edgeSwipeDistance: 50});
+    const swipes = page.collect("edgeswipe");
+
+    // along the edge, out of it, and inward but short of edgeSwipeDistance
+    page.swipeEvents.simulate({from: {x: 5, y: 100}, to: {x: 5, y: 400}});
+    page.swipeEvents.simulate({from: {x: 1014, y: 400}, to: {x: 1024, y: 400}});
+    page.swipeEvents.simulate({from: {x: 500, y: 760}, to: {x: 500, y: 720}});
+    page.swipeEvents.simulate({from: {x: 500, y: 400}, to: {x: 600, y: 400}});
+
+    assert.strictEqual(swipes.length, 0);
+});
@@ -0,0 +1,87 @@
+const test     = require("node:test");
+const assert   = require("node:assert");
+const {createPage} = require("./setup.js");
+
+function swipe(page) {
+    page.swipeEvents.simulate({from: {x: 100, y: 100}, to: {x: 200, y: 100}, duration: 200});
+}
+
+test("disable() stops tracking until enable()", () => {
+    const page    = createPage();
+    const details = page.collect("swipe");
+
+    page.swipeEvents.disable();
+    swipe(page);
+    assert.strictEqual(details.length, 0);
+    assert.strictEqual(page.swipeEvents.isEnabled(), false);
+
+    page.swipeEvents.enable();
+    swipe(page);
+    assert.strictEqual(details.length, 12);
+});
+
+test("destroy() removes every listener, including those of attached elements", () => {
+    const page    = createPage();
+    const panel   = page.document.getElementById("panel");
+    const details = page.collect("swipe");
+
+    page.swipeEvents.attach(panel);
+    page.swipeEvents.destroy();
+
+    swipe(page);
+    page.swipeEvents.simulate({from: {x: 0, y: 0}, to: {x: 100, y: 0}, target: panel});
+
+    assert.strictEqual(details.length, 0);
+});
+
+test("a destroyed instance can't be brought back", () => {
+    const page = createPage();
+
+    page.swipeEvents.destroy();
+
+    assert.throws(() => page.swipeEvents.enable(), /SwipeEvents.enable: this instance has been destroyed/);
+    assert.throws(() => page.swipeEvents.attach(page.document.body), /SwipeEvents.attach: this instance has been destroyed/);
+});
+
+test("destroy(), disable(), configure(), and toggleTelemetryLogging() work detached from the instance", () => {
+    const page = createPage();
+    const {configure, toggleTelemetryLogging, disable, destroy} = page.swipeEvents;
+
+    assert.strictEqual(configure({minDistance: 5}).minDistance, 5);
+    assert.strictEqual(toggleTelemetryLogging(), true);
+    assert.strictEqual(toggleTelemetryLogging(), false);
+    disable();
+    destroy();
+
+    assert.throws(() => page.swipeEvents.enable(), /destroyed/);
+});
+
+test("teardown works without animation frames, even with delivery: \"frame\"", () => {
+    const page    = createPage({delivery: "frame"});
+    const details = page.collect("swipe");
+    const handle  = page.swipeEvents.attach(page.document.getElementById("panel"));
+
+    assert.strictEqual(typeof page.window.requestAnimationFrame, "undefined");
+
+    swipe(page);
+    assert.strictEqual(details.length, 12);
+
+    handle.detach();
+    page.swipeEvents.disable();
+    page.swipeEvents.destroy();
+});
+
+test("instances don't share state", () => {
+    const page  = createPage();
+    const other = page.swipeEvents.create({banner: false, eventName: "otherswipe"});
+
+    page.swipeEvents.configure({minDistance: 40});
+    assert.strictEqual(other.getConfig().minDistance, 0);
+
+    page.swipeEvents.destroy();
+
+    const details = page.collect("otherswipe");
+    swipe(page);
+    assert.strictEqual(details.length, 12);
+    other.destroy();
+});
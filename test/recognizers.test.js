@@ -0,0 +1,91 @@
+const test     = require("node:test");
+const assert   = require("node:assert");
+const {createPage} = require("./setup.js");
+
+const GESTURE_TYPES = ["tap", "doubletap", "swipeleft", "swiperight", "swipeup", "swipedown", "swipecancel", "swipeend"];
+
+function tap(page, startTime, at) {
+    page.swipeEvents.simulate({from: at || {x: 100, y: 100}, to: at || {x: 100, y: 100}, duration: 50, steps: 1, startTime: startTime});
+}
+
+test("a short touch in place is a tap", () => {
+    const page   = createPage();
+    const events = page.collect(...GESTURE_TYPES);
+
+    tap(page, 1000);
+
+    assert.deepStrictEqual(events.map(event => event.type), ["tap", "swipeend"]);
+});
+
+test("a second tap soon after, near the first, is a doubletap", () => {
+    const page   = createPage();
+    const events = page.collect(...GESTURE_TYPES);
+
+    tap(page, 1000);
+    tap(page, 1200, {x: 110, y: 105});
+
+    assert.deepStrictEqual(events.map(event => event.type), ["tap", "swipeend", "tap", "doubletap", "swipeend"]);
+});
+
+test("taps too far apart in time or space aren't a doubletap", () => {
+    const page   = createPage();
+    const events = page.collect("doubletap");
+
+    tap(page, 1000);
+    tap(page, 2000);
+    tap(page, 2100, {x: 300, y: 300});
+
+    assert.strictEqual(events.length, 0);
+});
+
+test("a fast swipe fires the directional event for its direction", () => {
+    const cases = [
+        [{x: 0,   y: 100}, "swipeleft"],
+        [{x: 200, y: 100}, "swiperight"],
+        [{x: 100, y: 0},   "swipeup"],
+        [{x: 100, y: 200}, "swipedown"]
+    ];
+
+    cases.forEach(([to, type]) => {
+        const page   = createPage();
+        const events = page.collect(...GESTURE_TYPES);
+
+        page.swipeEvents.simulate({from: {x: 100, y: 100}, to: to, duration: 200, startTime: 1000});
+
+        assert.deepStrictEqual(events.map(event => event.type), [type, "swipeend"]);
+        assert.strictEqual(events[0].totalDistance, 100);
+    });
+});
+
+test("slow or short swipes aren't directional swipes", () => {
+    const page   = createPage();
+    const events = page.collect(...GESTURE_TYPES);
+
+    page.swipeEvents.simulate({from: {x: 100, y: 100}, to: {x: 200, y: 100}, duration: 2000, startTime: 1000});
+    page.swipeEvents.simulate({from: {x: 100, y: 100}, to: {x: 120, y: 100}, duration: 50, startTime: 5000});
+
+    assert.deepStrictEqual(events.map(event => event.type), ["swipeend", "swipeend"]);
+});
+
+test("a swipe with no direction yet, under minDistance, isn't a directional swipe", () => {
+    const page     = createPage({minDistance: 100});
+    const events   = page.collect(...GESTURE_TYPES);
+    const misnamed = page.collect("undefined"); // the type a directional swipe with no direction would be dispatched as
+
+    // fast and long enough for a swipe, but short of minDistance
+    page.swipeEvents.simulate({from: {x: 100, y: 100}, to: {x: 160, y: 100}, duration: 100, startTime: 1000});
+
+    assert.deepStrictEqual(events.map(event => event.type), ["swipeend"]);
+    assert.strictEqual(events[0].cardinal4, null);
+    assert.strictEqual(misnamed.length, 0);
+});
+
+test("a swipe handed over to native scrolling fires swipecancel, then swipeend", () => {
+    const page   = createPage({axisLock: "x"});
+    const events = page.collect(...GESTURE_TYPES);
+
+    page.swipeEvents.simulate({from: {x: 100, y: 100}, to: {x: 100, y: 300}, duration: 200, startTime: 1000});
+
+    assert.deepStrictEqual(events.map(event => event.type), ["swipecancel", "swipeend"]);
+    assert.strictEqual(events[1].phase, "cancel");
+});
@@ -0,0 +1,98 @@
+const test     = require("node:test");
+const assert   = require("node:assert");
+const {createPage} = require("./setup.js");
+
+// the telemetry a listener can compare between a gesture and its replay
+function telemetry(details) {
+    return details.map(detail => [
+        detail.initial, detail.ongoing, detail.duration, detail.currentX, detail.currentY,
+        detail.totalDistance, detail.overallSpeed, detail.cardinal8, detail.theta
+    ]);
+}
+
+function record(page) {
+    page.swipeEvents.startRecording();
+    page.swipeEvents.simulate({from: {x: 100, y: 100}, to: {x: 220, y: 160}, duration: 240, steps: 6});
+    return JSON.parse(JSON.stringify(page.swipeEvents.stopRecording()));
+}
+
+test("a recording is versioned, serializable, and holds every sample", () => {
+    const recording = record(createPage());
+
+    assert.strictEqual(recording.format, "swipe-events-recording");
+    assert.strictEqual(recording.version, 1);
+    assert.deepStrictEqual(recording.frames.map(frame => frame.phase), ["start", "move", "move", "move", "move", "move", "move", "end"]);
+    assert.deepStrictEqual(recording.frames.map(frame => frame.time - recording.frames[0].time), [0, 40, 80, 120, 160, 200, 240, 240]);
+    assert.deepStrictEqual(recording.frames[1].samples[0], {identifier: 1, clientX: 120, clientY: 110, pointerType: "touch", pressure: 0, tiltX: 0, tiltY: 0});
+});
+
+test("replaying a recording delivers the telemetry it was recorded from", async () => {
+    const original  = createPage();
+    const recorded  = original.collect("swipe");
+    const recording = record(original);
+
+    const replayed = createPage();
+    const details  = replayed.collect("swipe");
+    const gestures = replayed.collect("swiperight");
+
+    await replayed.swipeEvents.replay(recording, {speed: 20});
+
+    assert.deepStrictEqual(telemetry(details), telemetry(recorded));
+    assert.strictEqual(gestures.length, 1);
+});
+
+test("pointer moves replay with the positions the browser coalesced into them and predicted", async () => {
+    const original = createPage({input: "pointer"});
+    const recorded = original.collect("swipe", "swipeend");
+    const body     = original.document.body;
+
+    const pointer = (type, x, fields) => {
+        const event = Object.assign(new original.window.Event(type, {bubbles: true, cancelable: true}), {pointerId: 1, pointerType: "pen", button: 0, clientX: x, clientY: 0}, fields);
+        body.dispatchEvent(event);
+        return event;
+    };
+
+    original.swipeEvents.startRecording();
+    pointer("pointerdown", 0);
+    pointer("pointermove", 60, {
+        getCoalescedEvents() {
+            return [{clientX: 20, clientY: 0, timeStamp: this.timeStamp - 8}, {clientX: 40, clientY: 0, timeStamp: this.timeStamp - 4}, this];
+        },
+        getPredictedEvents: () => [{clientX: 70, clientY: 0}]
+    });
+    pointer("pointerup", 60);
+    const recording = JSON.parse(JSON.stringify(original.swipeEvents.stopRecording()));
+
+    assert.deepStrictEqual(recording.frames[1].samples[0].coalesced, [{clientX: 20, clientY: 0, offset: 8}, {clientX: 40, clientY: 0, offset: 4}]);
+    assert.deepStrictEqual(recording.frames[1].samples[0].predicted, {clientX: 70, clientY: 0});
+
+    const replayed = createPage({input: "pointer"});
+    const details  = replayed.collect("swipe", "swipeend");
+
+    await replayed.swipeEvents.replay(recording);
+
+    const measures = detail => [detail.type, detail.coalescedCount, detail.predictedX, detail.velocityX, detail.sampleCount, detail.pathLength];
+    assert.deepStrictEqual(details.map(measures), recorded.map(measures));
+    assert.strictEqual(details[1].coalescedCount, 3);
+    assert.strictEqual(details[details.length - 1].sampleCount, 4);
+});
+
+test("replay rejects recordings it can't play before playing any of them", () => {
+    const page      = createPage();
+    const recording = record(page);
+    const details   = page.collect("swipe");
+
+    const malformed = [
+        [{format: "something else"},                                    /not a swipe-events-recording/],
+        [Object.assign({}, recording, {version: 2}),                     /unsupported recording version 2/],
+        [Object.assign({}, recording, {frames: [{time: 0}]}),            /frames\[0\] phase must be one of/],
+        [Object.assign({}, recording, {frames: recording.frames.concat({time: 300, type: "touchend", phase: "end", samples: [{identifier: 1}]})}),
+                                                                         /frames\[8\] samples\[0\] must have numeric identifier, clientX, clientY/],
+        [Object.assign({}, recording, {frames: recording.frames.concat({time: 300, type: "pointermove", phase: "move", samples: [{identifier: 1, clientX: 0, clientY: 0, coalesced: [{clientX: 0, clientY: 0}]}]})}),
+                                                                         /frames\[8\] samples\[0\].coalesced must be an array of \{clientX, clientY, offset\}/]
+    ];
+
+    malformed.forEach(([bad, message]) => assert.throws(() => page.swipeEvents.replay(bad), error => error.name === "TypeError" && message.test(error.message)));
+    assert.throws(() => page.swipeEvents.replay(recording, {speed: 0}), /speed must be a positive number/);
+    assert.strictEqual(details.length, 0);
+});
@@ -0,0 +1,33 @@
+const fs       = require("fs");
+const path     = require("path");
+const {JSDOM}  = require("jsdom");
+
+const SOURCE = fs.readFileSync(path.join(__dirname, "..", "src", "swipe-events.js"), "utf8");
+
+/**
+ * A fresh jsdom window with the library's source loaded in it, and an instance created from it. jsdom is left as it
+ * comes, without animation frames, the way consumers' own tests run it.
+ */
+function createPage(options) {
+    const dom    = new JSDOM("<!DOCTYPE html><body><div id=\"panel\"></div></body>", {runScripts: "outside-only"});
+    const window = dom.window;
+
+    window.eval(SOURCE);
+
+    const swipeEvents = window.createSwipeEvents(Object.assign({banner: false}, options));
+
+    return {
+        window:      window,
+        document:    window.document,
+        swipeEvents: swipeEvents,
+
+        // the details of every event of these types dispatched on the document, in order
+        collect: (...types) => {
+            const collected = [];
+            types.forEach(type => window.document.addEventListener(type, e => collected.push(Object.assign({type: e.type}, e.detail))));
+            return collected;
+        }
+    };
+}
+
+module.exports = {createPage};
@@ -0,0 +1,131 @@
+const test     = require("node:test");
+const assert   = require("node:assert");
+const {createPage} = require("./setup.js");
+
+// a 300 ms swipe in ten 30 ms steps (twelve swipe events), on a fixed clock
+function swipe(page, to, startTime) {
+    page.swipeEvents.simulate({from: {x: 100, y: 100}, to: to || {x: 200, y: 100}, duration: 300, steps: 10, startTime: startTime || 1000});
+}
+
+function wait(page, milliseconds) {
+    return new Promise(resolve => page.window.setTimeout(resolve, milliseconds));
+}
+
+test("event sinks get a record of every swipe event; gesture sinks, one summary per touch", () => {
+    const page     = createPage();
+    const events   = page.swipeEvents.memorySink();
+    const gestures = page.swipeEvents.memorySink();
+
+    page.swipeEvents.addSink(events, {level: "event"});
+    page.swipeEvents.addSink(gestures);
+    swipe(page);
+
+    const records = events.records();
+    assert.strictEqual(records.length, 12);
+    assert.ok(records.every(record => record.type === "event" && !("event" in record)));
+    assert.deepStrictEqual(Array.from(records, record => record.phase), ["start"].concat(Array(10).fill("move"), "end"));
+    assert.deepStrictEqual(Array.from(records, record => record.eventType), ["touchstart"].concat(Array(10).fill("touchmove"), "touchend"));
+
+    const [gesture] = gestures.records();
+    assert.strictEqual(gestures.records().length, 1);
+    assert.strictEqual(gesture.type, "gesture");
+    assert.strictEqual(gesture.sampleCount, 11);
+    assert.strictEqual(gesture.bounds.width, 100);
+    assert.doesNotThrow(() => JSON.stringify(records.concat(gesture)));
+});
+
+test("phases picks the events, or for gestures how they ended, that a sink gets", () => {
+    const page      = createPage({axisLock: "x"});
+    const ends      = page.swipeEvents.memorySink();
+    const cancelled = page.swipeEvents.memorySink();
+
+    page.swipeEvents.addSink(ends, {level: "event", phases: ["end"]});
+    page.swipeEvents.addSink(cancelled, {phases: ["cancel"]});
+
+    swipe(page, {x: 200, y: 100}, 1000);
+    swipe(page, {x: 100, y: 200}, 2000);
+
+    assert.deepStrictEqual(Array.from(ends.records(), record => record.phase), ["end"]);
+    assert.deepStrictEqual(Array.from(cancelled.records(), record => [record.type, record.phase]), [["gesture", "cancel"]]);
+});
+
+test("sampleRate sends whole gestures or nothing of them", () => {
+    const page    = createPage();
+    const sampled = page.swipeEvents.memorySink();
+    const draws   = [0.2, 0.7, 0.4];
+
+    // a different draw on every call, so a gesture sampled event by event would arrive in pieces
+    page.window.Math.random = () => draws.length > 0 ? draws.shift() : 0.9;
+    page.swipeEvents.addSink(sampled, {level: "event", sampleRate: 0.5});
+
+    swipe(page, {x: 200, y: 100}, 1000);
+    swipe(page, {x: 100, y: 200}, 2000);
+    swipe(page, {x: 0, y: 100}, 3000);
+
+    const records = sampled.records();
+    assert.strictEqual(records.length, 24);
+    assert.deepStrictEqual(Array.from(records.filter(record => record.phase === "end"), record => record.cardinal4), ["E", "W"]);
+});
+
+test("memorySink keeps the latest records, oldest first, and can be queried and cleared", () => {
+    const page   = createPage();
+    const recent = page.swipeEvents.memorySink(5);
+
+    page.swipeEvents.addSink(recent, {level: "event"});
+    swipe(page);
+
+    const records = recent.records();
+    assert.strictEqual(records.length, 5);
+    assert.deepStrictEqual(Array.from(records, record => record.phase), ["move", "move", "move", "move", "end"]);
+    assert.deepStrictEqual(Array.from(records, record => record.duration), [210, 240, 270, 300, 300]);
+
+    assert.deepStrictEqual(Array.from(recent.query({phase: "end"}), record => record.duration), [300]);
+    assert.deepStrictEqual(Array.from(recent.query(record => record.duration > 250), record => record.phase), ["move", "move", "end"]);
+
+    recent.clear();
+    assert.strictEqual(recent.records().length, 0);
+
+    swipe(page, {x: 200, y: 100}, 2000);
+    assert.strictEqual(recent.records()[0].phase, "move");
+    assert.throws(() => page.swipeEvents.memorySink(0), /SwipeEvents.memorySink: capacity must be a positive integer/);
+});
+
+test("batchSink sends full batches at once, and the rest after interval or on flush()", async () => {
+    const page    = createPage();
+    const batches = [];
+    const sink    = page.swipeEvents.batchSink(records => batches.push(Array.from(records, record => record.phase)), {size: 5, interval: 20});
+
+    page.swipeEvents.addSink(sink, {level: "event"});
+    swipe(page);
+
+    assert.deepStrictEqual(batches.map(batch => batch.length), [5, 5]);
+
+    await wait(page, 50);
+    assert.deepStrictEqual(batches.map(batch => batch.length), [5, 5, 2]);
+    assert.deepStrictEqual(batches[2], ["move", "end"]);
+
+    page.swipeEvents.simulate({from: {x: 0, y: 0}, to: {x: 0, y: 0}, duration: 10, steps: 1, startTime: 2000});
+    sink.flush();
+    assert.deepStrictEqual(batches[3], ["start", "move", "end"]);
+
+    await wait(page, 50);
+    assert.strictEqual(batches.length, 4);
+});
+
+test("a sink that throws is reported, and doesn't stop the others", () => {
+    const page   = createPage();
+    const after  = page.swipeEvents.memorySink();
+    const errors = [];
+
+    page.window.console.error = (...args) => errors.push(args);
+    page.swipeEvents.addSink(() => {
+        throw new Error("sink failure");
+    });
+    page.swipeEvents.addSink(after);
+    swipe(page);
+
+    assert.strictEqual(after.records().length, 1);
+    assert.strictEqual(errors.length, 1);
+    assert.match(errors[0][0], /a telemetry sink threw/);
+    assert.strictEqual(errors[0][1].message, "sink failure");
+});
@@ -0,0 +1,112 @@
+const test     = require("node:test");
+const assert   = require("node:assert");
+const {createPage} = require("./setup.js");
+
+function assertClose(actual, expected, message) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${message || "value"}: expected ${expected}, but was ${actual}`);
+}
+
+// a 300 ms swipe in ten 30 ms steps, on a fixed clock
+function swipe(page, to, options) {
+    const details = page.collect("swipe");
+    page.swipeEvents.simulate(Object.assign({from: {x: 100, y: 100}, to: to, duration: 300, steps: 10, startTime: 1000}, options));
+    return details;
+}
+
+test("the start event reports no movement and no direction", () => {
+    const [start] = swipe(createPage(), {x: 200, y: 100});
+
+    assert.strictEqual(start.initial, true);
+    assert.strictEqual(start.ongoing, true);
+    assert.strictEqual(start.duration, 0);
+    assert.strictEqual(start.totalDistance, 0);
+    assert.strictEqual(start.overallSpeed, 0);
+    assert.strictEqual(start.latestSpeed, 0);
+    assert.strictEqual(start.cardinal4, null);
+    assert.strictEqual(start.cardinal8, null);
+    assert.strictEqual(start.theta, null);
+});
+
+test("distances and speeds add up over a straight swipe", () => {
+    const details = swipe(createPage(), {x: 200, y: 100});
+    const middle  = details[5];
+    const end     = details[details.length - 1];
+
+    assert.strictEqual(details.length, 12);
+    assertClose(middle.totalDistanceX, 50, "totalDistanceX");
+    assertClose(middle.latestDistance, 10, "latestDistance");
+    assertClose(middle.latestSpeed, 10 / 30, "latestSpeed");
+    assertClose(middle.velocityX, 10 / 30, "velocityX");
+    assertClose(middle.velocityY, 0, "velocityY");
+
+    assert.strictEqual(end.ongoing, false);
+    assert.strictEqual(end.duration, 300);
+    assert.strictEqual(end.eventTime, 1300);
+    assertClose(end.totalDistanceX, 100, "totalDistanceX");
+    assertClose(end.totalDistanceY, 0, "totalDistanceY");
+    assertClose(end.totalDistance, 100, "totalDistance");
+    assertClose(end.overallSpeed, 100 / 300, "overallSpeed");
+    assertClose(end.latestDistance, 0, "latestDistance at the end");
+    assertClose(end.releaseVelocity, 100 / 300, "releaseVelocity");
+    assert.strictEqual(middle.releaseVelocity, null);
+});
+
+test("speeds are converted to speedUnit", () => {
+    const details = swipe(createPage({speedUnit: "px/s"}), {x: 200, y: 100});
+
+    assertClose(details[details.length - 1].overallSpeed, 1000 / 3, "overallSpeed");
+});
+
+test("cardinal directions and theta follow the swipe", () => {
+    const cases = [
+        [{x: 200, y: 100}, "E", "E",  0],
+        [{x: 100, y: 200}, "S", "S",  90],
+        [{x: 0,   y: 100}, "W", "W",  180],
+        [{x: 100, y: 0},   "N", "N",  270],
+        [{x: 200, y: 200}, "S", "SE", 45],
+        [{x: 0,   y: 0},   "N", "NW", 225],
+        [{x: 200, y: 0},   "N", "NE", 315]
+    ];
+
+    cases.forEach(([to, cardinal4, cardinal8, theta]) => {
+        const details = swipe(createPage(), to);
+        const end     = details[details.length - 1];
+
+        assert.strictEqual(end.cardinal4, cardinal4, `cardinal4 towards ${JSON.stringify(to)}`);
+        assert.strictEqual(end.cardinal8, cardinal8, `cardinal8 towards ${JSON.stringify(to)}`);
+        assertClose(end.theta, theta, `theta towards ${JSON.stringify(to)}`);
+    });
+});
+
+test("diagonalWidth sets how wide the diagonal sectors are", () => {
+    // 30 degrees below East
+    const to = {x: 100 + 100 * Math.cos(Math.PI / 6), y: 100 + 100 * Math.sin(Math.PI / 6)};
+
+    const standard = swipe(createPage(), to);
+    const narrow   = swipe(createPage({diagonalWidth: 10}), to);
+
+    assert.strictEqual(standard[standard.length - 1].cardinal8, "SE");
+    assert.strictEqual(narrow[narrow.length - 1].cardinal8, "E");
+});
+
+test("no direction is reported until the touch travels minDistance", () => {
+    const details = swipe(createPage({minDistance: 50}), {x: 200, y: 100});
+
+    assert.strictEqual(details[4].cardinal4, null);
+    assert.strictEqual(details[5].cardinal4, "E");
+});
+
+test("reuseDetail writes every event of a touch into one detail, and gives the next touch its own", () => {
+    const page    = createPage({reuseDetail: true});
+    const details = [];
+
+    page.document.addEventListener("swipe", e => details.push(e.detail));
+    page.swipeEvents.simulate({from: {x: 100, y: 100}, to: {x: 200, y: 100}, duration: 300, steps: 10, startTime: 1000});
+    page.swipeEvents.simulate({from: {x: 100, y: 100}, to: {x: 100, y: 200}, duration: 300, steps: 10, startTime: 2000});
+
+    assert.strictEqual(details.length, 24);
+    assert.ok(details.slice(0, 12).every(detail => detail === details[0]));
+    assert.notStrictEqual(details[12], details[0]);
+    assert.strictEqual(details[0].cardinal4, "E");
+    assert.strictEqual(details[12].cardinal4, "S");
+});